@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IERC20Mintable.sol";
+
+/// @title Faucet
+/// @author Wayar Matías Nahuel
+/// @notice This contract mints Token A and Token B to anyone who claims them, at most once every cooldown period.
+/// @dev the faucet must own both tokens to mint them, `returnOwnership` hands them back
+contract Faucet is Ownable {
+
+    // Variables
+
+    /// @dev address of token A, established in constructor
+    IERC20Mintable public immutable tokenA;
+    /// @dev address of token B, established in constructor
+    IERC20Mintable public immutable tokenB;
+    /// @dev amount of token A minted on every claim
+    uint public amountA;
+    /// @dev amount of token B minted on every claim
+    uint public amountB;
+    /// @dev seconds an address has to wait between two claims
+    uint public cooldown;
+    /// @dev timestamp of the last claim of every address
+    mapping(address => uint) public lastClaimedAt;
+
+    // Events
+
+    /// @notice Emitted when tokens are claimed
+    /// @param user address that claimed the tokens
+    /// @param amountA amount of token A minted
+    /// @param amountB amount of token B minted
+    event Claimed(address indexed user, uint amountA, uint amountB);
+
+    /// @notice Emitted when the ownership of the tokens is handed over
+    /// @param newOwner address of the new tokens owner
+    event OwnershipReturned(address indexed newOwner);
+
+    /// @notice Emitted when the owner changes the amounts minted on every claim
+    /// @param amountA new amount of token A
+    /// @param amountB new amount of token B
+    event DripUpdated(uint amountA, uint amountB);
+
+    /// @notice Emitted when the owner changes the cooldown
+    /// @param cooldown new cooldown in seconds
+    event CooldownUpdated(uint cooldown);
+
+    /// @notice Constructor that initialize the contract
+    /// @param _tokenA address of token A
+    /// @param _tokenB address of token B
+    /// @param owner_ address of the faucet owner
+    /// @param _amountA amount of token A minted on every claim
+    /// @param _amountB amount of token B minted on every claim
+    /// @param _cooldown seconds between two claims of the same address
+    constructor(
+        address _tokenA,
+        address _tokenB,
+        address owner_,
+        uint _amountA,
+        uint _amountB,
+        uint _cooldown
+    ) Ownable(owner_) {
+        require(_tokenA != address(0) && _tokenB != address(0), "Invalid token address");
+        require(_tokenA != _tokenB, "tokens equals!");
+        tokenA = IERC20Mintable(_tokenA);
+        tokenB = IERC20Mintable(_tokenB);
+        amountA = _amountA;
+        amountB = _amountB;
+        cooldown = _cooldown;
+    }
+
+    /// @notice Mints `amountA` of token A and `amountB` of token B to the caller
+    /// @dev emits the event {Claimed}
+    function claim() external {
+        require(block.timestamp >= nextClaimAt(msg.sender), "Cooldown active");
+
+        lastClaimedAt[msg.sender] = block.timestamp;
+        uint _amountA = amountA;
+        uint _amountB = amountB;
+
+        tokenA.mint(msg.sender, _amountA);
+        tokenB.mint(msg.sender, _amountB);
+
+        emit Claimed(msg.sender, _amountA, _amountB);
+    }
+
+    /// @notice Returns the first timestamp at which an address can claim
+    /// @param user address to check
+    /// @return timestamp of the next claim, 0 if the address never claimed
+    function nextClaimAt(address user) public view returns (uint) {
+        uint last = lastClaimedAt[user];
+        return last == 0 ? 0 : last + cooldown;
+    }
+
+    /// @notice Returns if an address can claim in the current block
+    /// @param user address to check
+    /// @return true if the cooldown of the address is over
+    function canClaim(address user) external view returns (bool) {
+        return block.timestamp >= nextClaimAt(user);
+    }
+
+    /// @notice Changes the amounts minted on every claim
+    /// @dev emits the event {DripUpdated}, only callable by the owner
+    /// @param _amountA new amount of token A
+    /// @param _amountB new amount of token B
+    function setDrip(uint _amountA, uint _amountB) external onlyOwner {
+        amountA = _amountA;
+        amountB = _amountB;
+        emit DripUpdated(_amountA, _amountB);
+    }
+
+    /// @notice Changes the seconds an address has to wait between two claims
+    /// @dev emits the event {CooldownUpdated}, only callable by the owner
+    /// @param _cooldown new cooldown in seconds
+    function setCooldown(uint _cooldown) external onlyOwner {
+        cooldown = _cooldown;
+        emit CooldownUpdated(_cooldown);
+    }
+
+    /// @notice Transfers the ownership of both tokens, after that the faucet can no longer mint
+    /// @dev emits the event {OwnershipReturned}, only callable by the owner
+    /// @param newOwner address of the new tokens owner
+    function returnOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Invalid owner address");
+        tokenA.transferOwnership(newOwner);
+        tokenB.transferOwnership(newOwner);
+        emit OwnershipReturned(newOwner);
+    }
+}
@@ -4,14 +4,18 @@ pragma solidity ^0.8.26;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/ISimpleSwapCallee.sol";
 
 /// @title SimpleSwap
 /// @author Wayar Matías Nahuel
 /// @notice This contract allows the addition and remove of liquidity, the swap between TokenA and TokenB and returns the price. 
-/// @notice Also, implements IERC20 and manage the LQP token.
-contract SimpleSwap is ERC20 {
+/// @notice Also, implements IERC20 and manage the LQP token, which supports EIP-2612 permits.
+/// @notice Flash swaps lend the reserves for the duration of a callback, as long as they are paid back with the fee.
+contract SimpleSwap is ERC20, ERC20Permit, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     // Variables
@@ -25,6 +29,22 @@ contract SimpleSwap is ERC20 {
     /// @dev reserves of token B
     uint public reserve_B;
 
+    /// @dev swap fee numerator, 0.3% of the input amount stays in the pool for liquidity providers
+    uint public constant FEE_NUMERATOR = 3;
+    /// @dev swap fee denominator
+    uint public constant FEE_DENOMINATOR = 1000;
+    /// @dev LQP permanently locked on the first deposit, makes share price inflation unaffordable
+    uint public constant MINIMUM_LIQUIDITY = 1000;
+    /// @dev holder of the locked LQP, OpenZeppelin ERC20 does not allow minting to the zero address
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    /// @dev sum of the price of token A in token B (18 decimals) times the seconds it lasted, may overflow
+    uint public priceACumulativeLast;
+    /// @dev sum of the price of token B in token A (18 decimals) times the seconds it lasted, may overflow
+    uint public priceBCumulativeLast;
+    /// @dev block timestamp of the last reserves update
+    uint public blockTimestampLast;
+
     // Events
 
     /// @notice Emitted when liquidity is added
@@ -36,8 +56,8 @@ contract SimpleSwap is ERC20 {
 
     /// @notice Emitted when liquidity is removed
     /// @param provider address of who removes liquidity
-    /// @param amountA amount token A
-    /// @param amountB amount token B
+    /// @param amountA amount token A (token_A, whatever the order of the call)
+    /// @param amountB amount token B (token_B, whatever the order of the call)
     /// @param liquidity liquidity burned
     event LiquidityRemoved(address indexed provider, uint amountA, uint amountB, uint liquidity);
 
@@ -49,10 +69,87 @@ contract SimpleSwap is ERC20 {
     /// @param amountOut amount obtained
     event TokensSwapped(address indexed user, address tokenIn, address tokenOut, uint amountIn, uint amountOut);
 
+    /// @notice Emitted when a flash swap is completed
+    /// @param sender address of who calls the flash swap
+    /// @param to address that received the tokens and the callback
+    /// @param amountAOut amount of token A lent
+    /// @param amountBOut amount of token B lent
+    /// @param amountAIn amount of token A paid back
+    /// @param amountBIn amount of token B paid back
+    event FlashSwapped(address indexed sender, address indexed to, uint amountAOut, uint amountBOut, uint amountAIn, uint amountBIn);
+
+    // Errors
+
+    /// @notice Thrown when the pool is created with the same token twice
+    /// @param token address given for both tokens
+    error IdenticalTokens(address token);
+
+    /// @notice Thrown when a transaction is executed after its deadline
+    /// @param deadline timestamp limit given to the transaction
+    /// @param timestamp timestamp of the block
+    error Expired(uint deadline, uint timestamp);
+
+    /// @notice Thrown when the receiver of tokens is the zero address, or one of the pool tokens on a flash swap
+    /// @param to receiver address
+    error InvalidRecipient(address to);
+
+    /// @notice Thrown when the tokens given are not the pair of the pool
+    /// @param tokenA first token given
+    /// @param tokenB second token given
+    error InvalidTokenPair(address tokenA, address tokenB);
+
+    /// @notice Thrown when a swap path does not have exactly two tokens
+    /// @param length length of the path given
+    error InvalidPathLength(uint length);
+
+    /// @notice Thrown when the amount of token A is below the minimum accepted
+    /// @param amountA amount of token A deposited or returned
+    /// @param amountAMin minimum acceptable amount of token A
+    error InsufficientAAmount(uint amountA, uint amountAMin);
+
+    /// @notice Thrown when the amount of token B is below the minimum accepted
+    /// @param amountB amount of token B deposited or returned
+    /// @param amountBMin minimum acceptable amount of token B
+    error InsufficientBAmount(uint amountB, uint amountBMin);
+
+    /// @notice Thrown when a deposit is too small to mint LQP
+    /// @param liquidity LQP the deposit is worth
+    error InsufficientLiquidityMinted(uint liquidity);
+
+    /// @notice Thrown when burning more LQP than the caller holds
+    /// @param balance LQP held by the caller
+    /// @param liquidity LQP to burn
+    error InsufficientLiquidityBalance(uint balance, uint liquidity);
+
+    /// @notice Thrown when a swap returns less than the minimum accepted
+    /// @param amountOut amount of output token
+    /// @param amountOutMin minimum acceptable amount of output token
+    error InsufficientOutputAmount(uint amountOut, uint amountOutMin);
+
+    /// @notice Thrown when a swap costs more than the maximum accepted
+    /// @param amountIn amount of input token required
+    /// @param amountInMax maximum acceptable amount of input token
+    error ExcessiveInputAmount(uint amountIn, uint amountInMax);
+
+    /// @notice Thrown when the amount out is not below the reserves
+    error InsufficientLiquidity();
+
+    /// @notice Thrown when the pool has no reserves of one of the tokens
+    error NoLiquidity();
+
+    /// @notice Thrown when a quote or a flash swap is for a zero amount
+    error ZeroAmount();
+
+    /// @notice Thrown when a flash swap is not paid back
+    error InsufficientInputAmount();
+
+    /// @notice Thrown when the payment of a flash swap does not cover the fee
+    error InvariantViolated();
+
     /// @notice Constructor that initialize the contract
     /// @dev sets the token A and token B addresses, and token and symbol for LP
-    constructor(address _tokenA, address _tokenB) ERC20("LIQUIDITY_POOL", "LQP") {
-        require(_tokenA != _tokenB, "tokens equals!");
+    constructor(address _tokenA, address _tokenB) ERC20("LIQUIDITY_POOL", "LQP") ERC20Permit("LIQUIDITY_POOL") {
+        if (_tokenA == _tokenB) revert IdenticalTokens(_tokenA);
         token_A = _tokenA;
         token_B = _tokenB;
     }
@@ -67,8 +164,8 @@ contract SimpleSwap is ERC20 {
     /// @param amountBMin minimum acceptable amount of token B
     /// @param to address receiving liquidity tokens
     /// @param deadline timestamp to check if transaction is valid
-    /// @return amountA amount of token A deposited
-    /// @return amountB amount of token B deposited
+    /// @return amountA amount of token_A deposited, whatever the order of the call
+    /// @return amountB amount of token_B deposited, whatever the order of the call
     /// @return liquidity amount of LQP tokens minted
     function addLiquidity(
         address tokenA,
@@ -79,19 +176,18 @@ contract SimpleSwap is ERC20 {
         uint amountBMin,
         address to,
         uint deadline
-    ) external returns (uint amountA, uint amountB, uint liquidity) {
-        require(block.timestamp <= deadline, "Transaction expired");
-        require(to != address(0), "Invalid 'to' address");
+    ) external nonReentrant returns (uint amountA, uint amountB, uint liquidity) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (to == address(0)) revert InvalidRecipient(to);
 
         address _token_A = token_A;
         address _token_B = token_B;
         
-        require((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A), "Invalid token pair");
+        if (!((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A))) revert InvalidTokenPair(tokenA, tokenB);
 
-        bool isTokenAIn = tokenA == _token_A;
-        
+        // Amounts in token_A/token_B order, whatever the order of the call
         (amountA, amountB) = _calculateOptimalAmounts(
-                                                        isTokenAIn,
+                                                        tokenA == _token_A,
                                                         amountADesired,
                                                         amountBDesired,
                                                         amountAMin,
@@ -99,20 +195,98 @@ contract SimpleSwap is ERC20 {
                                                     );
         uint _reserve_A = reserve_A;
         uint _reserve_B = reserve_B;
-                    
-        if (isTokenAIn) {
+
+        IERC20(_token_A).safeTransferFrom(msg.sender, address(this), amountA);
+        IERC20(_token_B).safeTransferFrom(msg.sender, address(this), amountB);
+
+        liquidity = _calculateLiquidity(amountA, amountB, _reserve_A, _reserve_B);
+
+        _update(_reserve_A + amountA, _reserve_B + amountB);
+
+        _mint(to, liquidity);
+        emit LiquidityAdded(to, amountA, amountB, liquidity);
+
+        return (amountA, amountB, liquidity);
+    }
+
+    /// @notice Adds liquidity of tokens that may charge a fee on transfer, minting LQP for the amounts actually received
+    /// @dev emits the event {LiquidityAdded}, the minimum amounts apply to the amounts sent
+    /// @param tokenA address of token A
+    /// @param tokenB address of token B
+    /// @param amountADesired desired amount of token A
+    /// @param amountBDesired desired amount of token B
+    /// @param amountAMin minimum acceptable amount of token A
+    /// @param amountBMin minimum acceptable amount of token B
+    /// @param to address receiving liquidity tokens
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amountA amount of token_A received by the pool, whatever the order of the call
+    /// @return amountB amount of token_B received by the pool, whatever the order of the call
+    /// @return liquidity amount of LQP tokens minted
+    function addLiquiditySupportingFeeOnTransferTokens(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint amountA, uint amountB, uint liquidity) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        {
+            address _token_A = token_A;
+            address _token_B = token_B;
+
+            if (!((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A))) revert InvalidTokenPair(tokenA, tokenB);
+
+            bool isTokenAIn = tokenA == _token_A;
+
+            // Amounts in token_A/token_B order, whatever the order of the call
+            (amountA, amountB) = _calculateOptimalAmounts(
+                                                            isTokenAIn,
+                                                            amountADesired,
+                                                            amountBDesired,
+                                                            amountAMin,
+                                                            amountBMin
+                                                        );
+
             IERC20(_token_A).safeTransferFrom(msg.sender, address(this), amountA);
             IERC20(_token_B).safeTransferFrom(msg.sender, address(this), amountB);
-        } else {
-            IERC20(_token_A).safeTransferFrom(msg.sender, address(this), amountB);
-            IERC20(_token_B).safeTransferFrom(msg.sender, address(this), amountA);
         }
-                        
+
+        {
+            uint _reserve_A = reserve_A;
+            uint _reserve_B = reserve_B;
+            amountA = IERC20(token_A).balanceOf(address(this)) - _reserve_A;
+            amountB = IERC20(token_B).balanceOf(address(this)) - _reserve_B;
+
+            liquidity = _calculateLiquidity(amountA, amountB, _reserve_A, _reserve_B);
+            _update(_reserve_A + amountA, _reserve_B + amountB);
+        }
+
+        _mint(to, liquidity);
+        emit LiquidityAdded(to, amountA, amountB, liquidity);
+
+        return (amountA, amountB, liquidity);
+    }
+
+    /// @notice Calculates the LQP tokens to mint for a deposit, locking MINIMUM_LIQUIDITY on the first one
+    /// @dev virtual so the tests can reproduce a pool without the lock (SimpleSwapNoMinimumLiquidityMock)
+    /// @param amountA amount of token_A deposited
+    /// @param amountB amount of token_B deposited
+    /// @param _reserve_A reserves of token A before the deposit
+    /// @param _reserve_B reserves of token B before the deposit
+    /// @return liquidity amount of LQP tokens to mint
+    function _calculateLiquidity(uint amountA, uint amountB, uint _reserve_A, uint _reserve_B) internal virtual returns (uint liquidity) {
         uint _totalLiquidity = totalSupply();
-        uint _temporalAmount;
 
         if (_totalLiquidity == 0) {
             liquidity = Math.sqrt(amountA * amountB);
+            if (liquidity <= MINIMUM_LIQUIDITY) revert InsufficientLiquidityMinted(liquidity);
+            liquidity -= MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
         } else {
             liquidity = Math.min(
                 (amountA * _totalLiquidity) / _reserve_A,
@@ -120,23 +294,9 @@ contract SimpleSwap is ERC20 {
             );
         }
 
-        require(liquidity > 0, "Insufficient liquidity");
+        if (liquidity == 0) revert InsufficientLiquidityMinted(liquidity);
 
-        if (isTokenAIn) {
-            reserve_A = _reserve_A + amountA;
-            reserve_B = _reserve_B + amountB;
-        } else {
-            reserve_A = _reserve_A + amountB;
-            reserve_B = _reserve_B + amountA;
-            _temporalAmount = amountA;
-            amountA = amountB;
-            amountB = _temporalAmount;
-        }                
-            
-        _mint(to, liquidity);
-        emit LiquidityAdded(to, amountA, amountB, liquidity);
-
-        return (amountA, amountB, liquidity);
+        return liquidity;
     }
 
     /// @notice Calculate optimal amounts based on amounts desired and considering if tokenA is really token_A
@@ -168,12 +328,12 @@ contract SimpleSwap is ERC20 {
             {
                 uint optimalB = (desiredA * _reserve_B) / _reserve_A;
                 if (optimalB <= desiredB) {
-                    require(optimalB >= minB, "Insufficient B amount");
+                    if (optimalB < minB) revert InsufficientBAmount(optimalB, minB);
                     amountA = desiredA;
                     amountB = optimalB;
                 } else {
                     uint optimalA = (desiredB * _reserve_A) / _reserve_B;
-                    require(optimalA >= minA, "Insufficient A amount");
+                    if (optimalA < minA) revert InsufficientAAmount(optimalA, minA);
                     amountA = optimalA;
                     amountB = desiredB;
                 }
@@ -183,6 +343,28 @@ contract SimpleSwap is ERC20 {
         return (amountA, amountB);
     }
 
+    /// @notice Updates reserves and, on the first change of each block, the price accumulators
+    /// @dev accumulators use the reserves prior to this update, i.e. the price that lasted since `blockTimestampLast`
+    /// @param newReserveA new reserves of token A
+    /// @param newReserveB new reserves of token B
+    function _update(uint newReserveA, uint newReserveB) internal {
+        uint _reserve_A = reserve_A;
+        uint _reserve_B = reserve_B;
+        uint timeElapsed = block.timestamp - blockTimestampLast;
+
+        if (timeElapsed > 0 && _reserve_A != 0 && _reserve_B != 0) {
+            // overflow is desired, observers only use differences between two accumulator values
+            unchecked {
+                priceACumulativeLast += ((_reserve_B * 1e18) / _reserve_A) * timeElapsed;
+                priceBCumulativeLast += ((_reserve_A * 1e18) / _reserve_B) * timeElapsed;
+            }
+        }
+
+        reserve_A = newReserveA;
+        reserve_B = newReserveB;
+        blockTimestampLast = block.timestamp;
+    }
+
     /// @notice Removes liquidity and burns LQP tokens
     /// @dev emits the event {LiquidityRemoved}
     /// @param tokenA address of token A
@@ -202,15 +384,15 @@ contract SimpleSwap is ERC20 {
         uint amountBMin,
         address to,
         uint deadline
-    ) external returns (uint amountA, uint amountB) {
-        require(block.timestamp <= deadline, "Transaction expired");
-        require(to != address(0), "Invalid 'to' address");
-        require(balanceOf(msg.sender) >= liquidity, "Not enough liquidity");
+    ) external nonReentrant returns (uint amountA, uint amountB) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (to == address(0)) revert InvalidRecipient(to);
+        if (balanceOf(msg.sender) < liquidity) revert InsufficientLiquidityBalance(balanceOf(msg.sender), liquidity);
 
         address _token_A = token_A;
         address _token_B = token_B;
 
-        require((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A), "Invalid token pair");
+        if (!((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A))) revert InvalidTokenPair(tokenA, tokenB);
         
         {
             uint _reserve_A = reserve_A;
@@ -232,17 +414,22 @@ contract SimpleSwap is ERC20 {
                 amountB = internalAmountA;
             }
 
-            require(amountA >= amountAMin && amountB >= amountBMin, "Slippage limit");
+            if (amountA < amountAMin) revert InsufficientAAmount(amountA, amountAMin);
+            if (amountB < amountBMin) revert InsufficientBAmount(amountB, amountBMin);
 
-            reserve_A = _reserve_A - internalAmountA;
-            reserve_B = _reserve_B - internalAmountB;
+            _update(_reserve_A - internalAmountA, _reserve_B - internalAmountB);
         }
 
         IERC20(tokenA).safeTransfer(to, amountA);
         IERC20(tokenB).safeTransfer(to, amountB);
         
         _burn(msg.sender, liquidity);
-        emit LiquidityRemoved(to, amountA, amountB, liquidity);
+        // Amounts of the event in token_A/token_B order, as {LiquidityAdded}, whatever the order of the call
+        if (tokenA == _token_A) {
+            emit LiquidityRemoved(to, amountA, amountB, liquidity);
+        } else {
+            emit LiquidityRemoved(to, amountB, amountA, liquidity);
+        }
 
         return(amountA, amountB);    
     }
@@ -261,17 +448,17 @@ contract SimpleSwap is ERC20 {
         address[] calldata path,
         address to,
         uint deadline
-    ) external returns (uint[] memory amounts) {
-        require(block.timestamp <= deadline, "Transaction expired");
-        require(path.length == 2, "Invalid path length");
-        require(to != address(0), "Invalid 'to' address");
+    ) external nonReentrant returns (uint[] memory amounts) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (path.length != 2) revert InvalidPathLength(path.length);
+        if (to == address(0)) revert InvalidRecipient(to);
 
         address _token_A = token_A;
         address _token_B = token_B;
         address tokenIn = path[0];
         address tokenOut = path[1];
 
-        require((tokenIn == _token_A && tokenOut == _token_B) || (tokenIn == _token_B && tokenOut == _token_A), "Invalid tokens");
+        if (!((tokenIn == _token_A && tokenOut == _token_B) || (tokenIn == _token_B && tokenOut == _token_A))) revert InvalidTokenPair(tokenIn, tokenOut);
 
         uint amountOut;
         {
@@ -282,16 +469,14 @@ contract SimpleSwap is ERC20 {
             uint _reserve_B = reserve_B;
             uint reserveIn = isTokenAIn ? _reserve_A : _reserve_B;
             uint reserveOut = isTokenAIn ? _reserve_B : _reserve_A;
-            amountOut = (_amountIn * reserveOut) / (reserveIn + _amountIn);
+            amountOut = getAmountOut(_amountIn, reserveIn, reserveOut);
 
-            require(amountOut >= _amountOutMin, "Insufficient output amount");
+            if (amountOut < _amountOutMin) revert InsufficientOutputAmount(amountOut, _amountOutMin);
 
             if (isTokenAIn) {
-                reserve_A = _reserve_A + _amountIn;
-                reserve_B = _reserve_B - amountOut;
+                _update(_reserve_A + _amountIn, _reserve_B - amountOut);
             } else {
-                reserve_B = _reserve_B + _amountIn;
-                reserve_A = _reserve_A - amountOut;
+                _update(_reserve_A - amountOut, _reserve_B + _amountIn);
             }
         }
 
@@ -305,6 +490,169 @@ contract SimpleSwap is ERC20 {
         return amounts;
     }
 
+    /// @notice Swaps an exact amount of input tokens that may charge a fee on transfer, quoting on the amount received
+    /// @dev emits the event {TokensSwapped}, `amountOutMin` is checked against the balance increase of `to`
+    /// @param amountIn amount of input token to send
+    /// @param amountOutMin minimum acceptable amount of output token received by `to`
+    /// @param path array with [tokenIn, tokenOut] addresses
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array of token amounts [amountIn received by the pool, amountOut sent by the pool]
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint[] memory amounts) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (path.length != 2) revert InvalidPathLength(path.length);
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        address tokenIn = path[0];
+        address tokenOut = path[1];
+
+        if (!((tokenIn == token_A && tokenOut == token_B) || (tokenIn == token_B && tokenOut == token_A))) revert InvalidTokenPair(tokenIn, tokenOut);
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+
+        amounts = new uint[](2);
+        {
+            bool isTokenAIn = tokenIn == token_A;
+            uint _reserve_A = reserve_A;
+            uint _reserve_B = reserve_B;
+            uint reserveIn = isTokenAIn ? _reserve_A : _reserve_B;
+            uint reserveOut = isTokenAIn ? _reserve_B : _reserve_A;
+            amounts[0] = IERC20(tokenIn).balanceOf(address(this)) - reserveIn;
+            amounts[1] = getAmountOut(amounts[0], reserveIn, reserveOut);
+
+            if (isTokenAIn) {
+                _update(_reserve_A + amounts[0], _reserve_B - amounts[1]);
+            } else {
+                _update(_reserve_A - amounts[1], _reserve_B + amounts[0]);
+            }
+        }
+
+        {
+            uint balanceBefore = IERC20(tokenOut).balanceOf(to);
+            IERC20(tokenOut).safeTransfer(to, amounts[1]);
+            uint received = IERC20(tokenOut).balanceOf(to) - balanceBefore;
+            if (received < amountOutMin) revert InsufficientOutputAmount(received, amountOutMin);
+        }
+
+        emit TokensSwapped(msg.sender, tokenIn, tokenOut, amounts[0], amounts[1]);
+        return amounts;
+    }
+
+    /// @notice Swaps input tokens for an exact amount of output tokens
+    /// @dev emits the event {TokensSwapped}
+    /// @param amountOut exact amount of output token to receive
+    /// @param amountInMax maximum acceptable amount of input token to send
+    /// @param path array with [tokenIn, tokenOut] addresses
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array of token amounts [amountIn, amountOut]
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint[] memory amounts) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (path.length != 2) revert InvalidPathLength(path.length);
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        address _token_A = token_A;
+        address _token_B = token_B;
+        address tokenIn = path[0];
+        address tokenOut = path[1];
+
+        if (!((tokenIn == _token_A && tokenOut == _token_B) || (tokenIn == _token_B && tokenOut == _token_A))) revert InvalidTokenPair(tokenIn, tokenOut);
+
+        uint amountIn;
+        {
+            uint _amountOut = amountOut;
+            uint _amountInMax = amountInMax;
+            bool isTokenAIn = tokenIn == _token_A;
+            uint _reserve_A = reserve_A;
+            uint _reserve_B = reserve_B;
+            uint reserveIn = isTokenAIn ? _reserve_A : _reserve_B;
+            uint reserveOut = isTokenAIn ? _reserve_B : _reserve_A;
+            amountIn = getAmountIn(_amountOut, reserveIn, reserveOut);
+
+            if (amountIn > _amountInMax) revert ExcessiveInputAmount(amountIn, _amountInMax);
+
+            if (isTokenAIn) {
+                _update(_reserve_A + amountIn, _reserve_B - _amountOut);
+            } else {
+                _update(_reserve_A - _amountOut, _reserve_B + amountIn);
+            }
+        }
+
+        amounts = new uint[](2);
+        amounts[0] = amountIn;
+        amounts[1] = amountOut;
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        IERC20(tokenOut).safeTransfer(to, amounts[1]);
+        emit TokensSwapped(msg.sender, tokenIn, tokenOut, amounts[0], amounts[1]);
+        return amounts;
+    }
+
+    /// @notice Sends tokens to `to`, calls its {ISimpleSwapCallee-simpleSwapCall} and checks it paid them back with the fee
+    /// @dev emits the event {FlashSwapped}. Payment can be in any of the two tokens, as long as the
+    /// @dev fee-adjusted balances keep `reserve_A * reserve_B` from decreasing
+    /// @param amountAOut amount of token A to lend
+    /// @param amountBOut amount of token B to lend
+    /// @param to address receiving the tokens, must implement {ISimpleSwapCallee}
+    /// @param data arbitrary data forwarded to the callback
+    function flashSwap(uint amountAOut, uint amountBOut, address to, bytes calldata data) external nonReentrant {
+        if (amountAOut == 0 && amountBOut == 0) revert ZeroAmount();
+        if (to == address(0) || to == token_A || to == token_B) revert InvalidRecipient(to);
+
+        uint _reserve_A = reserve_A;
+        uint _reserve_B = reserve_B;
+
+        if (amountAOut >= _reserve_A || amountBOut >= _reserve_B) revert InsufficientLiquidity();
+
+        if (amountAOut > 0) IERC20(token_A).safeTransfer(to, amountAOut);
+        if (amountBOut > 0) IERC20(token_B).safeTransfer(to, amountBOut);
+        ISimpleSwapCallee(to).simpleSwapCall(msg.sender, amountAOut, amountBOut, data);
+
+        uint balanceA = IERC20(token_A).balanceOf(address(this));
+        uint balanceB = IERC20(token_B).balanceOf(address(this));
+        uint amountAIn = balanceA > _reserve_A - amountAOut ? balanceA - (_reserve_A - amountAOut) : 0;
+        uint amountBIn = balanceB > _reserve_B - amountBOut ? balanceB - (_reserve_B - amountBOut) : 0;
+
+        if (amountAIn == 0 && amountBIn == 0) revert InsufficientInputAmount();
+        {
+            uint balanceAAdjusted = balanceA * FEE_DENOMINATOR - amountAIn * FEE_NUMERATOR;
+            uint balanceBAdjusted = balanceB * FEE_DENOMINATOR - amountBIn * FEE_NUMERATOR;
+            if (balanceAAdjusted * balanceBAdjusted < _reserve_A * _reserve_B * FEE_DENOMINATOR ** 2) revert InvariantViolated();
+        }
+
+        _update(balanceA, balanceB);
+        emit FlashSwapped(msg.sender, to, amountAOut, amountBOut, amountAIn, amountBIn);
+    }
+
+    /// @notice Sends to `to` the tokens held above the reserves, e.g. direct transfers to the pool
+    /// @param to address receiving the excess tokens
+    function skim(address to) external nonReentrant {
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        address _token_A = token_A;
+        address _token_B = token_B;
+
+        IERC20(_token_A).safeTransfer(to, IERC20(_token_A).balanceOf(address(this)) - reserve_A);
+        IERC20(_token_B).safeTransfer(to, IERC20(_token_B).balanceOf(address(this)) - reserve_B);
+    }
+
+    /// @notice Sets the reserves to the token balances held by the pool
+    function sync() external nonReentrant {
+        _update(IERC20(token_A).balanceOf(address(this)), IERC20(token_B).balanceOf(address(this)));
+    }
+
     /// @notice Returns the price of tokenA in terms of tokenB
     /// @param tokenA address
     /// @param tokenB address
@@ -315,8 +663,8 @@ contract SimpleSwap is ERC20 {
         uint _reserve_A = reserve_A;
         uint _reserve_B = reserve_B;
 
-        require((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A), "Invalid tokens");
-        require(_reserve_A > 0 && _reserve_B > 0, "No liquidity");
+        if (!((tokenA == _token_A && tokenB == _token_B) || (tokenA == _token_B && tokenB == _token_A))) revert InvalidTokenPair(tokenA, tokenB);
+        if (_reserve_A == 0 || _reserve_B == 0) revert NoLiquidity();
 
         bool isTokenAIn = tokenA == _token_A;
         uint numerator;
@@ -335,18 +683,59 @@ contract SimpleSwap is ERC20 {
         return price;
     }
 
-    /// @notice returns output amount for an input and reserve
+    /// @notice Returns the output amount and fee of a swap against the current reserves
+    /// @param amountIn amount of input token
+    /// @param tokenIn address of input token
+    /// @param tokenOut address of output token
+    /// @return amountOut token amount received, fee already discounted
+    /// @return fee amount of input token kept by the pool as swap fee
+    function getQuote(uint amountIn, address tokenIn, address tokenOut) external view returns (uint amountOut, uint fee) {
+        address _token_A = token_A;
+        address _token_B = token_B;
+
+        if (!((tokenIn == _token_A && tokenOut == _token_B) || (tokenIn == _token_B && tokenOut == _token_A))) revert InvalidTokenPair(tokenIn, tokenOut);
+
+        bool isTokenAIn = tokenIn == _token_A;
+        uint reserveIn = isTokenAIn ? reserve_A : reserve_B;
+        uint reserveOut = isTokenAIn ? reserve_B : reserve_A;
+
+        amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+        fee = (amountIn * FEE_NUMERATOR) / FEE_DENOMINATOR;
+
+        return (amountOut, fee);
+    }
+
+    /// @notice returns output amount for an input and reserve, discounting the swap fee
     /// @param amountIn amount of input token
     /// @param reserveIn reserve of input token
     /// @param reserveOut reserve of output token
     /// @return amountOut token amount
     function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) public pure returns (uint amountOut) {
-        require(amountIn > 0 && reserveIn > 0 && reserveOut > 0, "Invalid reserves or amount");
+        if (amountIn == 0) revert ZeroAmount();
+        if (reserveIn == 0 || reserveOut == 0) revert NoLiquidity();
 
-		uint numerator = amountIn * reserveOut;
-		uint denominator = reserveIn + amountIn;
+        uint amountInWithFee = amountIn * (FEE_DENOMINATOR - FEE_NUMERATOR);
+		uint numerator = amountInWithFee * reserveOut;
+		uint denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
 		amountOut = numerator / denominator;
 
         return amountOut;
     }
+
+    /// @notice returns input amount required to obtain an exact output amount, including the swap fee
+    /// @param amountOut amount of output token
+    /// @param reserveIn reserve of input token
+    /// @param reserveOut reserve of output token
+    /// @return amountIn token amount
+    function getAmountIn(uint amountOut, uint reserveIn, uint reserveOut) public pure returns (uint amountIn) {
+        if (amountOut == 0) revert ZeroAmount();
+        if (reserveIn == 0 || reserveOut == 0) revert NoLiquidity();
+        if (amountOut >= reserveOut) revert InsufficientLiquidity();
+
+        uint numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - FEE_NUMERATOR);
+        amountIn = (numerator / denominator) + 1;
+
+        return amountIn;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "./SimpleSwap.sol";
+
+/// @title SimpleSwapFactory
+/// @author Wayar Matías Nahuel
+/// @notice This contract deploys one SimpleSwap pool per token pair and keeps a registry of them.
+/// @notice Pools are created with CREATE2, so their address can be computed before deployment.
+contract SimpleSwapFactory {
+
+    // Variables
+
+    /// @dev pool address by sorted token pair (token0 < token1)
+    mapping(address => mapping(address => address)) private _pools;
+    /// @dev every pool created by this factory, in creation order
+    address[] public allPools;
+
+    // Events
+
+    /// @notice Emitted when a pool is created
+    /// @param token0 lower token address of the pair, the pool's token_A
+    /// @param token1 higher token address of the pair, the pool's token_B
+    /// @param pool address of the new pool
+    /// @param poolCount number of pools after the creation
+    event PoolCreated(address indexed token0, address indexed token1, address pool, uint poolCount);
+
+    // Errors
+
+    /// @notice Thrown when the pair is the same token twice
+    /// @param token address given for both tokens
+    error IdenticalTokens(address token);
+
+    /// @notice Thrown when one of the tokens is the zero address
+    error ZeroAddressToken();
+
+    /// @notice Thrown when the pair already has a pool
+    /// @param pool address of the existing pool
+    error PoolExists(address pool);
+
+    /// @notice Deploys a SimpleSwap pool for a token pair
+    /// @dev emits the event {PoolCreated}
+    /// @param tokenX address of one token of the pair
+    /// @param tokenY address of the other token of the pair
+    /// @return pool address of the new pool
+    function createPool(address tokenX, address tokenY) external returns (address pool) {
+        (address token0, address token1) = _sortTokens(tokenX, tokenY);
+        if (_pools[token0][token1] != address(0)) revert PoolExists(_pools[token0][token1]);
+
+        pool = address(new SimpleSwap{salt: _salt(token0, token1)}(token0, token1));
+
+        _pools[token0][token1] = pool;
+        allPools.push(pool);
+        emit PoolCreated(token0, token1, pool, allPools.length);
+
+        return pool;
+    }
+
+    /// @notice Returns the pool of a token pair, in any order
+    /// @param tokenX address of one token of the pair
+    /// @param tokenY address of the other token of the pair
+    /// @return pool address of the pool, or the zero address if it was not created
+    function getPool(address tokenX, address tokenY) external view returns (address pool) {
+        (address token0, address token1) = tokenX < tokenY ? (tokenX, tokenY) : (tokenY, tokenX);
+        return _pools[token0][token1];
+    }
+
+    /// @notice Returns the number of pools created
+    /// @return amount of pools
+    function allPoolsLength() external view returns (uint) {
+        return allPools.length;
+    }
+
+    /// @notice Computes the address where the pool of a token pair is (or will be) deployed
+    /// @param tokenX address of one token of the pair
+    /// @param tokenY address of the other token of the pair
+    /// @return pool deterministic address of the pool
+    function computePoolAddress(address tokenX, address tokenY) external view returns (address pool) {
+        (address token0, address token1) = _sortTokens(tokenX, tokenY);
+        bytes32 initCodeHash = keccak256(abi.encodePacked(type(SimpleSwap).creationCode, abi.encode(token0, token1)));
+
+        return address(uint160(uint(keccak256(abi.encodePacked(bytes1(0xff), address(this), _salt(token0, token1), initCodeHash)))));
+    }
+
+    /// @notice Sorts and validates a token pair
+    /// @param tokenX address of one token of the pair
+    /// @param tokenY address of the other token of the pair
+    /// @return token0 lower token address
+    /// @return token1 higher token address
+    function _sortTokens(address tokenX, address tokenY) internal pure returns (address token0, address token1) {
+        if (tokenX == tokenY) revert IdenticalTokens(tokenX);
+        (token0, token1) = tokenX < tokenY ? (tokenX, tokenY) : (tokenY, tokenX);
+        if (token0 == address(0)) revert ZeroAddressToken();
+    }
+
+    /// @notice CREATE2 salt of a sorted token pair
+    /// @param token0 lower token address
+    /// @param token1 higher token address
+    /// @return salt for the pool deployment
+    function _salt(address token0, address token1) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(token0, token1));
+    }
+}
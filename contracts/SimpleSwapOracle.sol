@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "./SimpleSwap.sol";
+
+/// @title SimpleSwapOracle
+/// @author Wayar Matías Nahuel
+/// @notice This contract stores observations of a SimpleSwap pool price accumulators and returns
+/// @notice time-weighted average prices (TWAP) over a requested window.
+/// @dev anyone can call `update`, the more often it is called the more precise the windows that can be served
+contract SimpleSwapOracle {
+
+    /// @dev snapshot of the pool accumulators at a given time
+    struct Observation {
+        uint timestamp;
+        uint priceACumulative;
+        uint priceBCumulative;
+    }
+
+    // Variables
+
+    /// @dev observed pool, established in constructor
+    SimpleSwap public immutable pool;
+    /// @dev minimum seconds between two stored observations
+    uint public immutable minPeriod;
+    /// @dev observations sorted by timestamp
+    Observation[] public observations;
+
+    // Events
+
+    /// @notice Emitted when an observation is stored
+    /// @param timestamp time of the observation
+    /// @param priceACumulative cumulative price of token A at that time
+    /// @param priceBCumulative cumulative price of token B at that time
+    event ObservationRecorded(uint timestamp, uint priceACumulative, uint priceBCumulative);
+
+    /// @notice Constructor that initialize the contract
+    /// @param _pool address of the SimpleSwap pool to observe
+    /// @param _minPeriod minimum seconds between two stored observations
+    constructor(address _pool, uint _minPeriod) {
+        require(_pool != address(0), "Invalid pool address");
+        pool = SimpleSwap(_pool);
+        minPeriod = _minPeriod;
+    }
+
+    /// @notice Stores an observation of the pool accumulators
+    /// @dev emits the event {ObservationRecorded}, does nothing if the last observation is newer than `minPeriod`
+    /// @return recorded true if a new observation was stored
+    function update() external returns (bool recorded) {
+        uint length = observations.length;
+        if (length > 0 && block.timestamp - observations[length - 1].timestamp < minPeriod) {
+            return false;
+        }
+
+        (uint priceACumulative, uint priceBCumulative) = currentCumulativePrices();
+        observations.push(Observation(block.timestamp, priceACumulative, priceBCumulative));
+        emit ObservationRecorded(block.timestamp, priceACumulative, priceBCumulative);
+
+        return true;
+    }
+
+    /// @notice Returns the number of stored observations
+    /// @return amount of observations
+    function observationsLength() external view returns (uint) {
+        return observations.length;
+    }
+
+    /// @notice Returns the pool accumulators as they would be if reserves were updated in this block
+    /// @return priceACumulative cumulative price of token A in token B
+    /// @return priceBCumulative cumulative price of token B in token A
+    function currentCumulativePrices() public view returns (uint priceACumulative, uint priceBCumulative) {
+        SimpleSwap _pool = pool;
+        priceACumulative = _pool.priceACumulativeLast();
+        priceBCumulative = _pool.priceBCumulativeLast();
+
+        uint timeElapsed = block.timestamp - _pool.blockTimestampLast();
+        uint _reserve_A = _pool.reserve_A();
+        uint _reserve_B = _pool.reserve_B();
+
+        if (timeElapsed > 0 && _reserve_A != 0 && _reserve_B != 0) {
+            // same overflowing arithmetic as the pool
+            unchecked {
+                priceACumulative += ((_reserve_B * 1e18) / _reserve_A) * timeElapsed;
+                priceBCumulative += ((_reserve_A * 1e18) / _reserve_B) * timeElapsed;
+            }
+        }
+    }
+
+    /// @notice Returns the time-weighted average price of a token over at least the last `window` seconds
+    /// @dev uses the newest observation that is `window` seconds old or older, so the real window can be longer
+    /// @param tokenIn address of the token priced, token_A or token_B of the pool
+    /// @param window seconds to average
+    /// @return price average price with 18 decimals (other token per tokenIn)
+    /// @return elapsed seconds actually averaged
+    function consult(address tokenIn, uint window) external view returns (uint price, uint elapsed) {
+        require(window > 0, "Invalid window");
+        require(tokenIn == pool.token_A() || tokenIn == pool.token_B(), "Invalid tokens");
+        require(block.timestamp >= window, "Invalid window");
+
+        Observation memory observation = _observationBefore(block.timestamp - window);
+        (uint priceACumulative, uint priceBCumulative) = currentCumulativePrices();
+        elapsed = block.timestamp - observation.timestamp;
+
+        unchecked {
+            price = tokenIn == pool.token_A()
+                ? (priceACumulative - observation.priceACumulative) / elapsed
+                : (priceBCumulative - observation.priceBCumulative) / elapsed;
+        }
+
+        return (price, elapsed);
+    }
+
+    /// @notice Binary search of the newest observation taken at or before `target`
+    /// @param target timestamp
+    /// @return observation found
+    function _observationBefore(uint target) internal view returns (Observation memory) {
+        uint length = observations.length;
+        require(length > 0 && observations[0].timestamp <= target, "Missing historical observation");
+
+        uint low = 0;
+        uint high = length - 1;
+        while (low < high) {
+            uint mid = (low + high + 1) / 2;
+            if (observations[mid].timestamp <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return observations[low];
+    }
+}
@@ -0,0 +1,357 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./SimpleSwap.sol";
+import "./SimpleSwapFactory.sol";
+
+/// @title SimpleSwapRouter
+/// @author Wayar Matías Nahuel
+/// @notice This contract chains swaps across the SimpleSwap pools of a factory, following paths of any length.
+/// @notice Token approvals can be replaced by EIP-2612 permits through the `WithPermit` variants.
+/// @dev intermediate tokens are held by the router between hops, only the last hop pays to the recipient
+contract SimpleSwapRouter {
+    using SafeERC20 for IERC20;
+
+    // Variables
+
+    /// @dev factory used to find the pool of every hop, established in constructor
+    SimpleSwapFactory public immutable factory;
+
+    // Errors
+
+    /// @notice Thrown when the router is deployed without a factory
+    error ZeroAddressFactory();
+
+    /// @notice Thrown when a transaction is executed after its deadline
+    /// @param deadline timestamp limit given to the transaction
+    /// @param timestamp timestamp of the block
+    error Expired(uint deadline, uint timestamp);
+
+    /// @notice Thrown when the receiver of the output token is the zero address
+    /// @param to receiver address
+    error InvalidRecipient(address to);
+
+    /// @notice Thrown when a swap path has less than two tokens
+    /// @param length length of the path given
+    error InvalidPathLength(uint length);
+
+    /// @notice Thrown when a swap returns less than the minimum accepted
+    /// @param amountOut amount of the last token of the path
+    /// @param amountOutMin minimum acceptable amount of the last token of the path
+    error InsufficientOutputAmount(uint amountOut, uint amountOutMin);
+
+    /// @notice Thrown when a swap costs more than the maximum accepted
+    /// @param amountIn amount of the first token of the path required
+    /// @param amountInMax maximum acceptable amount of the first token of the path
+    error ExcessiveInputAmount(uint amountIn, uint amountInMax);
+
+    /// @notice Thrown when a permit fails and the router is not approved either
+    /// @param token address of the token of the permit
+    error PermitFailed(address token);
+
+    /// @notice Thrown when the factory has no pool for a pair of the path
+    /// @param tokenIn address of input token
+    /// @param tokenOut address of output token
+    error PoolNotFound(address tokenIn, address tokenOut);
+
+    /// @notice Constructor that initialize the contract
+    /// @param _factory address of the SimpleSwapFactory
+    constructor(address _factory) {
+        if (_factory == address(0)) revert ZeroAddressFactory();
+        factory = SimpleSwapFactory(_factory);
+    }
+
+    /// @notice Swaps an exact amount of input tokens for output tokens along a path
+    /// @param amountIn amount of the first token of the path to send
+    /// @param amountOutMin minimum acceptable amount of the last token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array with the amount of every token of the path
+    function swapExactTokensForTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external returns (uint[] memory amounts) {
+        return _swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline);
+    }
+
+    /// @notice Same as `swapExactTokensForTokens`, approving the input token with an EIP-2612 permit
+    /// @dev the permit is signed by the caller for this router and `amountIn`, its deadline is the swap deadline
+    /// @param amountIn amount of the first token of the path to send
+    /// @param amountOutMin minimum acceptable amount of the last token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction and permit are valid
+    /// @param v permit signature recovery id
+    /// @param r permit signature r value
+    /// @param s permit signature s value
+    /// @return amounts array with the amount of every token of the path
+    function swapExactTokensForTokensWithPermit(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint[] memory amounts) {
+        _permit(path[0], amountIn, deadline, v, r, s);
+        return _swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline);
+    }
+
+    /// @notice Swaps input tokens for an exact amount of output tokens along a path
+    /// @param amountOut exact amount of the last token of the path to receive
+    /// @param amountInMax maximum acceptable amount of the first token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array with the amount of every token of the path
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external returns (uint[] memory amounts) {
+        return _swapTokensForExactTokens(amountOut, amountInMax, path, to, deadline);
+    }
+
+    /// @notice Same as `swapTokensForExactTokens`, approving the input token with an EIP-2612 permit
+    /// @dev the permit is signed by the caller for this router and `amountInMax`, its deadline is the swap deadline
+    /// @param amountOut exact amount of the last token of the path to receive
+    /// @param amountInMax maximum acceptable amount of the first token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction and permit are valid
+    /// @param v permit signature recovery id
+    /// @param r permit signature r value
+    /// @param s permit signature s value
+    /// @return amounts array with the amount of every token of the path
+    function swapTokensForExactTokensWithPermit(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint[] memory amounts) {
+        _permit(path[0], amountInMax, deadline, v, r, s);
+        return _swapTokensForExactTokens(amountOut, amountInMax, path, to, deadline);
+    }
+
+    /// @notice Removes liquidity from the pool of a token pair, pulling the caller LQP tokens
+    /// @dev the caller must have approved this router to spend its LQP tokens
+    /// @param tokenA address of token A
+    /// @param tokenB address of token B
+    /// @param liquidity amount of LQP tokens to burn
+    /// @param amountAMin minimum acceptable amount of token A
+    /// @param amountBMin minimum acceptable amount of token B
+    /// @param to address to receive the tokens
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amountA amount of token A received
+    /// @return amountB amount of token B received
+    function removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline
+    ) public returns (uint amountA, uint amountB) {
+        SimpleSwap pool = _getPool(tokenA, tokenB);
+        IERC20(address(pool)).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        return pool.removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to, deadline);
+    }
+
+    /// @notice Same as `removeLiquidity`, approving the LQP tokens with an EIP-2612 permit instead of a transaction
+    /// @dev the permit is signed by the caller for this router and `liquidity`, its deadline is the removal deadline
+    /// @param tokenA address of token A
+    /// @param tokenB address of token B
+    /// @param liquidity amount of LQP tokens to burn
+    /// @param amountAMin minimum acceptable amount of token A
+    /// @param amountBMin minimum acceptable amount of token B
+    /// @param to address to receive the tokens
+    /// @param deadline timestamp to check if transaction and permit are valid
+    /// @param v permit signature recovery id
+    /// @param r permit signature r value
+    /// @param s permit signature s value
+    /// @return amountA amount of token A received
+    /// @return amountB amount of token B received
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint amountA, uint amountB) {
+        _permit(address(_getPool(tokenA, tokenB)), liquidity, deadline, v, r, s);
+        return removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to, deadline);
+    }
+
+    /// @notice Returns the output amounts of every hop for an exact input amount
+    /// @param amountIn amount of the first token of the path
+    /// @param path array of token addresses
+    /// @return amounts array with the amount of every token of the path
+    function getAmountsOut(uint amountIn, address[] calldata path) public view returns (uint[] memory amounts) {
+        if (path.length < 2) revert InvalidPathLength(path.length);
+
+        amounts = new uint[](path.length);
+        amounts[0] = amountIn;
+
+        for (uint i; i < path.length - 1; i++) {
+            SimpleSwap pool = _getPool(path[i], path[i + 1]);
+            (uint reserveIn, uint reserveOut) = _getReserves(pool, path[i]);
+            amounts[i + 1] = pool.getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+
+        return amounts;
+    }
+
+    /// @notice Returns the input amounts of every hop for an exact output amount
+    /// @param amountOut amount of the last token of the path
+    /// @param path array of token addresses
+    /// @return amounts array with the amount of every token of the path
+    function getAmountsIn(uint amountOut, address[] calldata path) public view returns (uint[] memory amounts) {
+        if (path.length < 2) revert InvalidPathLength(path.length);
+
+        amounts = new uint[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+
+        for (uint i = path.length - 1; i > 0; i--) {
+            SimpleSwap pool = _getPool(path[i - 1], path[i]);
+            (uint reserveIn, uint reserveOut) = _getReserves(pool, path[i - 1]);
+            amounts[i - 1] = pool.getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+
+        return amounts;
+    }
+
+    /// @notice Swaps an exact amount of input tokens for output tokens along a path
+    /// @param amountIn amount of the first token of the path to send
+    /// @param amountOutMin minimum acceptable amount of the last token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array with the amount of every token of the path
+    function _swapExactTokensForTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) internal returns (uint[] memory amounts) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        amounts = getAmountsOut(amountIn, path);
+        if (amounts[amounts.length - 1] < amountOutMin) revert InsufficientOutputAmount(amounts[amounts.length - 1], amountOutMin);
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+
+        for (uint i; i < path.length - 1; i++) {
+            SimpleSwap pool = _getPool(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? address(this) : to;
+
+            IERC20(path[i]).forceApprove(address(pool), amounts[i]);
+            pool.swapExactTokensForTokens(amounts[i], amounts[i + 1], _hop(path[i], path[i + 1]), recipient, deadline);
+        }
+
+        return amounts;
+    }
+
+    /// @notice Swaps input tokens for an exact amount of output tokens along a path
+    /// @param amountOut exact amount of the last token of the path to receive
+    /// @param amountInMax maximum acceptable amount of the first token of the path
+    /// @param path array of token addresses, each consecutive pair must have a pool
+    /// @param to address to receive the output token
+    /// @param deadline timestamp to check if transaction is valid
+    /// @return amounts array with the amount of every token of the path
+    function _swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) internal returns (uint[] memory amounts) {
+        if (block.timestamp > deadline) revert Expired(deadline, block.timestamp);
+        if (to == address(0)) revert InvalidRecipient(to);
+
+        amounts = getAmountsIn(amountOut, path);
+        if (amounts[0] > amountInMax) revert ExcessiveInputAmount(amounts[0], amountInMax);
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+
+        for (uint i; i < path.length - 1; i++) {
+            SimpleSwap pool = _getPool(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? address(this) : to;
+
+            IERC20(path[i]).forceApprove(address(pool), amounts[i]);
+            pool.swapTokensForExactTokens(amounts[i + 1], amounts[i], _hop(path[i], path[i + 1]), recipient, deadline);
+        }
+
+        return amounts;
+    }
+
+    /// @notice Approves this router to spend the caller tokens with an EIP-2612 permit
+    /// @dev a failing permit is ignored if the allowance is already there, so a front-run permit does not block the call
+    /// @param token address of the token supporting permits
+    /// @param value amount approved by the permit
+    /// @param deadline permit deadline
+    /// @param v permit signature recovery id
+    /// @param r permit signature r value
+    /// @param s permit signature s value
+    function _permit(address token, uint value, uint deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s) {
+        } catch {
+            if (IERC20(token).allowance(msg.sender, address(this)) < value) revert PermitFailed(token);
+        }
+    }
+
+    /// @notice Returns the pool of a token pair, reverting if the factory has none
+    /// @param tokenIn address of input token
+    /// @param tokenOut address of output token
+    /// @return pool SimpleSwap pool of the pair
+    function _getPool(address tokenIn, address tokenOut) internal view returns (SimpleSwap pool) {
+        address poolAddress = factory.getPool(tokenIn, tokenOut);
+        if (poolAddress == address(0)) revert PoolNotFound(tokenIn, tokenOut);
+        return SimpleSwap(poolAddress);
+    }
+
+    /// @notice Returns the reserves of a pool ordered by swap direction
+    /// @param pool SimpleSwap pool
+    /// @param tokenIn address of input token
+    /// @return reserveIn reserve of input token
+    /// @return reserveOut reserve of output token
+    function _getReserves(SimpleSwap pool, address tokenIn) internal view returns (uint reserveIn, uint reserveOut) {
+        uint _reserve_A = pool.reserve_A();
+        uint _reserve_B = pool.reserve_B();
+
+        return tokenIn == pool.token_A() ? (_reserve_A, _reserve_B) : (_reserve_B, _reserve_A);
+    }
+
+    /// @notice Builds the two token path of a single pool swap
+    /// @param tokenIn address of input token
+    /// @param tokenOut address of output token
+    /// @return path array with [tokenIn, tokenOut] addresses
+    function _hop(address tokenIn, address tokenOut) internal pure returns (address[] memory path) {
+        path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOut;
+    }
+}
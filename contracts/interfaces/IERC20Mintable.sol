@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title IERC20Mintable
+/// @author Wayar Matías Nahuel
+/// @notice Interface of the ownable, mintable test tokens handed out by the Faucet.
+interface IERC20Mintable is IERC20 {
+    /// @notice Mints new tokens, only callable by the token owner
+    /// @param to address to receive the tokens
+    /// @param amount amount of tokens to mint
+    function mint(address to, uint amount) external;
+
+    /// @notice Transfers the token ownership, only callable by the token owner
+    /// @param newOwner address of the new owner
+    function transferOwnership(address newOwner) external;
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/// @title ISimpleSwapCallee
+/// @author Wayar Matías Nahuel
+/// @notice Interface that flash swap recipients must implement to receive the SimpleSwap callback.
+interface ISimpleSwapCallee {
+    /// @notice Called by the pool after sending the flash swap tokens, must pay them back with the fee before returning
+    /// @param sender address of who called the flash swap
+    /// @param amountA amount of token A received
+    /// @param amountB amount of token B received
+    /// @param data arbitrary data passed to the flash swap
+    function simpleSwapCall(address sender, uint amountA, uint amountB, bytes calldata data) external;
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract ERC20FeeOnTransferMock is ERC20 {
+    uint256 public immutable feeBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        address initialAccount,
+        uint256 initialBalance,
+        uint256 _feeBps
+    ) ERC20(name, symbol) {
+        feeBps = _feeBps;
+        _mint(initialAccount, initialBalance);
+    }
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    // Burns `feeBps` of every transfer, mints and burns are not taxed
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * feeBps) / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
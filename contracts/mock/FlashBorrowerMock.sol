@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/ISimpleSwapCallee.sol";
+import "../SimpleSwap.sol";
+
+// Flash swap borrower for tests. `data` encodes how much of each token to pay back to the pool
+// and whether to try to reenter the pool from the callback.
+contract FlashBorrowerMock is ISimpleSwapCallee {
+    SimpleSwap public immutable pool;
+
+    address public lastSender;
+    uint256 public lastAmountA;
+    uint256 public lastAmountB;
+
+    constructor(address _pool) {
+        pool = SimpleSwap(_pool);
+    }
+
+    function borrow(uint256 amountAOut, uint256 amountBOut, uint256 repayA, uint256 repayB, bool reenter) external {
+        pool.flashSwap(amountAOut, amountBOut, address(this), abi.encode(repayA, repayB, reenter));
+    }
+
+    function simpleSwapCall(address sender, uint256 amountA, uint256 amountB, bytes calldata data) external {
+        require(msg.sender == address(pool), "Unauthorized pool");
+
+        lastSender = sender;
+        lastAmountA = amountA;
+        lastAmountB = amountB;
+
+        (uint256 repayA, uint256 repayB, bool reenter) = abi.decode(data, (uint256, uint256, bool));
+
+        if (reenter) {
+            pool.sync();
+        }
+
+        if (repayA > 0) IERC20(pool.token_A()).transfer(address(pool), repayA);
+        if (repayB > 0) IERC20(pool.token_B()).transfer(address(pool), repayB);
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "../SimpleSwap.sol";
+
+// SimpleSwap without the MINIMUM_LIQUIDITY lock, as before it was added: the first deposit mints
+// sqrt(amountA * amountB). Used by the tests to reproduce the first depositor share inflation attack.
+contract SimpleSwapNoMinimumLiquidityMock is SimpleSwap {
+    constructor(address _tokenA, address _tokenB) SimpleSwap(_tokenA, _tokenB) {}
+
+    function _calculateLiquidity(uint amountA, uint amountB, uint _reserve_A, uint _reserve_B) internal override returns (uint liquidity) {
+        if (totalSupply() == 0) {
+            liquidity = Math.sqrt(amountA * amountB);
+            if (liquidity == 0) revert InsufficientLiquidityMinted(liquidity);
+            return liquidity;
+        }
+        return super._calculateLiquidity(amountA, amountB, _reserve_A, _reserve_B);
+    }
+}
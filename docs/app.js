@@ -4,80 +4,1478 @@ const getPriceBtn = document.getElementById("getPriceBtn");
 const priceResultDiv = document.getElementById("priceResult");
 const swapBtn = document.getElementById("swapBtn");
 const messagesDiv = document.getElementById("messages");
+const networkInfoDiv = document.getElementById("networkInfo");
 
 let provider;
 let signer;
+// Provider of every view call: a JSON-RPC provider from CHAINS until a wallet connects, then the wallet's.
+// Contracts are created on it and only connected to the signer to send transactions.
+let readProvider;
+let walletConnected = false;
 let simpleSwapContract;
+let currentChainId;
 
-const SIMPLE_SWAP_ADDRESS = "0x2debfF655D680D528f69449665Bfda617D544241";
-const TOKEN_A_ADDRESS = "0x2d2B2C2af6f4F87E722E064dcD9fDd3F94ce7597";
-const TOKEN_B_ADDRESS = "0xe7318ea312EE8b8faAD947136f4C1b0d75484667";
-const FAUCET_ADDRESS = "0x452D2D90345428e542F78B666572a3Db5cA9499e";
+// Networks the DApp can connect to. Contracts must also be deployed there (see contracts.json).
+const CHAINS = {
+  11155111: {
+    name: "Sepolia",
+    rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    explorer: "https://sepolia.etherscan.io",
+    explorerName: "Etherscan"
+  },
+  31337: {
+    name: "Hardhat Localhost",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    explorer: "",
+    explorerName: ""
+  }
+};
+// Network offered when the wallet is on an unsupported one.
+const DEFAULT_CHAIN_ID = 11155111;
+
+// ABIs and addresses per chain, generated from the Hardhat artifacts and Ignition deployments
+// with `npx hardhat frontend:export`.
+const CONTRACTS_CONFIG_URL = "contracts.json";
+let contractsConfig;
+
+// Addresses of the connected chain.
+// Default pool. Replaced by the pool chosen in the pool selector.
+let SIMPLE_SWAP_ADDRESS = "";
+let TOKEN_A_ADDRESS = "";
+let TOKEN_B_ADDRESS = "";
+let TOKEN_A_SYMBOL = "Token A";
+let TOKEN_B_SYMBOL = "Token B";
+let FAUCET_ADDRESS = "";
+// SimpleSwapFactory whose pools are listed in the pool selector. Empty to use only the default pool.
+let FACTORY_ADDRESS = "";
+// SimpleSwapRouter of that factory. When set, swaps of tokens supporting EIP-2612 are approved
+// with a signed permit instead of an approve transaction. Empty to always approve the pool.
+let ROUTER_ADDRESS = "";
+// Swap fee charged on the input (FEE_NUMERATOR / FEE_DENOMINATOR of SimpleSwap), read from the default pool.
+// Zero on pools deployed before the fee.
+let swapFeeNumerator;
+let swapFeeDenominator;
+
+const SETTINGS_STORAGE_KEY = "simpleSwap.settings";
+const DEFAULT_SETTINGS = { slippageBps: 50, deadlineMinutes: 10 };
+const MAX_SLIPPAGE_BPS = 5000; // 50%
+const MAX_DEADLINE_MINUTES = 4320; // 3 days
+
+let SIMPLE_SWAP_ABI, FACTORY_ABI, ROUTER_ABI, ERC20_ABI, FAUCET_ABI;
+// Faucets deployed before the cooldown allow one claim per address, recorded in `hasClaimed`
+const ONE_TIME_FAUCET_ABI = ["function hasClaimed(address account) view returns (bool)"];
+// Permit helpers are not part of the exported ERC20 ABI
+const PERMIT_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+
+function showMessage(text, type = "info", isHtml = false) {
+  messagesDiv.className = "message " + type;
+  if (isHtml) {
+    messagesDiv.innerHTML = text;
+  } else {
+    messagesDiv.textContent = text;
+  }
+}
+
+function clearMessage() {
+  messagesDiv.textContent = "";
+  messagesDiv.innerHTML = "";
+  messagesDiv.className = "";
+}
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (stored && isValidSlippage(stored.slippageBps) && isValidDeadline(stored.deadlineMinutes)) {
+      return stored;
+    }
+  } catch (err) {
+    console.error(err);
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+function saveSettings() {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+function isValidSlippage(bps) {
+  return Number.isInteger(bps) && bps > 0 && bps <= MAX_SLIPPAGE_BPS;
+}
+
+function isValidDeadline(minutes) {
+  return Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_DEADLINE_MINUTES;
+}
+
+let settings = loadSettings();
+
+// Minimum amount accepted for `amount` under the configured slippage tolerance.
+function applySlippage(amount) {
+  return amount.mul(10000 - settings.slippageBps).div(10000);
+}
+
+// Unix timestamp used as `deadline` for every swap and liquidity transaction.
+function getDeadline() {
+  return Math.floor(Date.now() / 1000) + settings.deadlineMinutes * 60;
+}
+
+// Link to a transaction in the explorer of the connected chain, empty on chains without explorer.
+function explorerLink(txHash) {
+  const explorer = CHAINS[currentChainId]?.explorer;
+  if (!explorer) return "";
+  return `<a href="${explorer}/tx/${txHash}" target="_blank">View on ${CHAINS[currentChainId].explorerName}</a>`;
+}
+
+// Selector of Error(string), the revert data of `require` with a message
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+// User messages of the custom errors of the contracts, from the decoded error arguments.
+const ERROR_MESSAGES = {
+  Expired: ([deadline]) =>
+    `The transaction deadline (${new Date(deadline.toNumber() * 1000).toLocaleTimeString()}) passed before it was mined. Try again or increase the deadline in the settings.`,
+  InvalidRecipient: ([to]) => `Invalid recipient address ${shortAddress(to)}.`,
+  InvalidTokenPair: () => "These tokens are not the pair of the selected pool.",
+  InvalidPathLength: () => "Invalid swap path.",
+  InsufficientAAmount: ([amount, min]) =>
+    `The price moved: ${formatUnits(amount)} ${TOKEN_A_SYMBOL} is below your minimum of ${formatUnits(min)}. Try again or raise the slippage tolerance.`,
+  InsufficientBAmount: ([amount, min]) =>
+    `The price moved: ${formatUnits(amount)} ${TOKEN_B_SYMBOL} is below your minimum of ${formatUnits(min)}. Try again or raise the slippage tolerance.`,
+  InsufficientLiquidityMinted: () => "The deposit is too small to mint LQP tokens.",
+  InsufficientLiquidityBalance: ([balance]) => `You only have ${formatUnits(balance)} LQP.`,
+  InsufficientOutputAmount: ([amountOut, min]) =>
+    `The price moved: you would receive ${formatUnits(amountOut)}, below your minimum of ${formatUnits(min)}. Try again or raise the slippage tolerance.`,
+  ExcessiveInputAmount: ([amountIn, max]) =>
+    `The price moved: the swap would cost ${formatUnits(amountIn)}, above your maximum of ${formatUnits(max)}. Try again or raise the slippage tolerance.`,
+  InsufficientLiquidity: () => "The pool does not have enough liquidity for this amount.",
+  NoLiquidity: () => "The pool has no liquidity yet.",
+  ZeroAmount: () => "The amount must be greater than 0.",
+  InsufficientInputAmount: () => "The flash swap was not paid back.",
+  InvariantViolated: () => "The flash swap was not paid back with the fee.",
+  PermitFailed: ([token]) => `The permit for ${tokenName(token)} failed and the router is not approved. Sign it again.`,
+  PoolNotFound: ([tokenIn, tokenOut]) => `There is no pool for ${tokenName(tokenIn)} and ${tokenName(tokenOut)}.`,
+  PoolExists: ([pool]) => `The pool already exists at ${shortAddress(pool)}.`,
+  IdenticalTokens: () => "The two tokens must be different.",
+  ZeroAddressToken: () => "Invalid token address.",
+  ERC20InsufficientBalance: ([, balance, needed]) =>
+    `Insufficient token balance: ${formatUnits(needed)} needed, ${formatUnits(balance)} available.`,
+  ERC20InsufficientAllowance: ([spender, allowance, needed]) =>
+    `Insufficient allowance for ${shortAddress(spender)}: ${formatUnits(needed)} needed, ${formatUnits(allowance)} approved.`,
+  SafeERC20FailedOperation: ([token]) => `The transfer of ${tokenName(token)} failed.`,
+  ERC2612ExpiredSignature: () => "The permit signature expired. Sign it again.",
+  ERC2612InvalidSigner: () => "The permit signature is invalid.",
+  OwnableUnauthorizedAccount: ([account]) => `${shortAddress(account)} is not allowed to do this (e.g. the faucet does not own the tokens).`
+};
+
+let errorsInterface;
+
+function formatUnits(amount) {
+  return ethers.utils.formatUnits(amount, 18);
+}
+
+// Token symbols and names are read from the token contracts, so anyone deploying a token chooses
+// them: escape them before building HTML.
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function tokenName(tokenAddress) {
+  if (tokenAddress === TOKEN_A_ADDRESS) return TOKEN_A_SYMBOL;
+  if (tokenAddress === TOKEN_B_ADDRESS) return TOKEN_B_SYMBOL;
+  return shortAddress(tokenAddress);
+}
+
+// Custom errors of every contract ABI, each one once.
+function getErrorsInterface() {
+  if (!errorsInterface) {
+    const errors = new Map();
+    [SIMPLE_SWAP_ABI, FACTORY_ABI, ROUTER_ABI, FAUCET_ABI, ERC20_ABI].forEach(abi => {
+      (abi || []).filter(fragment => fragment.type === "error").forEach(fragment => errors.set(fragment.name, fragment));
+    });
+    errorsInterface = new ethers.utils.Interface(Array.from(errors.values()));
+  }
+  return errorsInterface;
+}
+
+// Revert data of a failed call, nested differently by each wallet and RPC provider.
+function findRevertData(err, depth = 0) {
+  if (!err || typeof err !== "object" || depth > 5) return null;
+  if (typeof err.data === "string" && /^0x[0-9a-fA-F]{8}/.test(err.data)) return err.data;
+
+  for (const key of ["data", "error", "originalError"]) {
+    const data = findRevertData(err[key], depth + 1);
+    if (data) return data;
+  }
+
+  // Some providers only include the response body
+  if (typeof err.body === "string") {
+    try {
+      return findRevertData(JSON.parse(err.body), depth + 1);
+    } catch (parseErr) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Human readable reason of a failed transaction or call, or `fallback` when it can not be decoded.
+function describeError(err, fallback) {
+  if (err instanceof SimulationError) {
+    return err.message;
+  }
+  if (err?.code === 4001 || err?.code === "ACTION_REJECTED") {
+    return "Transaction rejected in the wallet.";
+  }
+
+  const data = findRevertData(err);
+  if (data) {
+    try {
+      const error = getErrorsInterface().parseError(data);
+      const message = ERROR_MESSAGES[error.name];
+      return message ? message(error.args) : `The transaction reverted with ${error.name}.`;
+    } catch (decodeErr) {
+      // Not a custom error, e.g. Error(string) of the faucet
+    }
+
+    if (data.startsWith(ERROR_STRING_SELECTOR)) {
+      try {
+        return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0];
+      } catch (decodeErr) {
+        // Malformed revert data
+      }
+    }
+  }
+
+  return err?.reason || fallback;
+}
+
+// Thrown when a transaction would fail, before the wallet is prompted.
+class SimulationError extends Error {}
+
+function formatFee(fee) {
+  return Number(ethers.utils.formatEther(fee)).toFixed(6);
+}
+
+// Margin over the simulated gas, as the state may change before the transaction is mined
+const GAS_LIMIT_BUFFER_BPS = 2000; // 20%
+
+// Runs `method` of `contract` as a call from the connected account and estimates its gas, so the
+// wallet is only prompted for transactions that would succeed. Shows the outcome, from the `details`
+// that `detailsOf` reads in the result (see TxTracker.describeTransaction for each `type`), and the fee
+// in ETH. Throws a SimulationError with the decoded reason on a revert. The details are returned to
+// record the transaction once sent, and the estimate plus GAS_LIMIT_BUFFER_BPS as `gasLimit`, to send it with.
+async function simulate(contract, method, args, type, detailsOf) {
+  const connected = contract.connect(signer);
+
+  let result, gasEstimate, gasPrice;
+  try {
+    result = await connected.callStatic[method](...args);
+    [gasEstimate, gasPrice] = await Promise.all([
+      connected.estimateGas[method](...args),
+      readProvider.getGasPrice()
+    ]);
+  } catch (err) {
+    console.error(err);
+    throw new SimulationError(`Transaction not sent: ${describeError(err, "the simulation failed.")}`);
+  }
+  const gasLimit = gasEstimate.mul(10000 + GAS_LIMIT_BUFFER_BPS).div(10000);
+  const fee = gasEstimate.mul(gasPrice);
+
+  const details = detailsOf(result);
+  showMessage(`
+    Simulation: ${escapeHtml(TxTracker.describeTransaction(type, details))}<br/>
+    Estimated fee: ${formatFee(fee)} ETH. Confirm in your wallet...
+  `, "info", true);
+  return { result, gasLimit, fee, details };
+}
+
+// Stops before any approval or signature when the account does not hold `amount` of `tokenAddress`.
+async function ensureBalance(tokenAddress, amount) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, readProvider);
+  const balance = await token.balanceOf(await signer.getAddress());
+  if (balance.lt(amount)) {
+    throw new SimulationError(
+      `Transaction not sent: insufficient ${tokenName(tokenAddress)} balance, ${formatUnits(amount)} needed and ${formatUnits(balance)} available.`
+    );
+  }
+}
+
+// Approves SimpleSwap to spend `amount` of `tokenAddress` if the current allowance is lower.
+// Returns true when an approve transaction was sent.
+async function ensureAllowance(tokenAddress, amount) {
+  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const userAddress = await signer.getAddress();
+
+  const allowance = await tokenContract.allowance(userAddress, SIMPLE_SWAP_ADDRESS);
+  if (allowance.gte(amount)) {
+    return false;
+  }
+
+  const { details, gasLimit } = await simulate(tokenContract, "approve", [SIMPLE_SWAP_ADDRESS, ethers.constants.MaxUint256], "approve", () => ({ symbol: tokenName(tokenAddress) }));
+  const approveTx = await tokenContract.approve(SIMPLE_SWAP_ADDRESS, ethers.constants.MaxUint256, { gasLimit });
+  trackTransaction(approveTx, "approve", details);
+  await approveTx.wait();
+  return true;
+}
+
+// True when the selected pool can be traded through the router with a permit for `tokenAddress`.
+async function canUsePermit(tokenAddress) {
+  if (!ROUTER_ADDRESS || !FACTORY_ADDRESS) return false;
+
+  try {
+    const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, readProvider);
+    if ((await factory.getPool(TOKEN_A_ADDRESS, TOKEN_B_ADDRESS)) !== SIMPLE_SWAP_ADDRESS) return false;
+
+    // Tokens without EIP-2612 / EIP-5267 support revert here
+    const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+    await Promise.all([token.nonces(await signer.getAddress()), token.eip712Domain()]);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Signs an EIP-2612 permit letting `spender` move `value` of `tokenAddress` until `deadline`.
+// Returns the split signature ({ v, r, s }) expected by the `WithPermit` functions.
+async function signPermit(tokenAddress, spender, value, deadline) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  const [domain, nonce] = await Promise.all([token.eip712Domain(), token.nonces(owner)]);
+
+  const signature = await signer._signTypedData(
+    {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract
+    },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    { owner, spender, value, nonce, deadline }
+  );
+
+  return ethers.utils.splitSignature(signature);
+}
+
+// Whether the contract has the function `name` of its ABI, from the selectors in its deployed bytecode.
+// The Sepolia deployment predates some functions of the current ABIs.
+async function hasFunction(contract, name) {
+  const code = await contract.provider.getCode(contract.address);
+  return code.includes(contract.interface.getSighash(name).slice(2));
+}
+
+// Loads the ABIs and the addresses of `chainId` from contracts.json, and the swap fee and features of
+// its pool through `chainProvider`. Returns false when there is no SimpleSwap deployment on that chain.
+async function loadContracts(chainId, chainProvider) {
+  if (!contractsConfig) {
+    const response = await fetch(CONTRACTS_CONFIG_URL);
+    if (!response.ok) {
+      throw new Error(`Could not load ${CONTRACTS_CONFIG_URL}`);
+    }
+    contractsConfig = await response.json();
+    ({
+      SimpleSwap: SIMPLE_SWAP_ABI,
+      SimpleSwapFactory: FACTORY_ABI,
+      SimpleSwapRouter: ROUTER_ABI,
+      ERC20: ERC20_ABI,
+      Faucet: FAUCET_ABI
+    } = contractsConfig.abis);
+  }
+
+  const addresses = contractsConfig.chains[chainId] || {};
+  SIMPLE_SWAP_ADDRESS = addresses.SimpleSwap || "";
+  FAUCET_ADDRESS = addresses.Faucet || "";
+  FACTORY_ADDRESS = addresses.SimpleSwapFactory || "";
+  ROUTER_ADDRESS = addresses.SimpleSwapRouter || "";
+  if (!SIMPLE_SWAP_ADDRESS) return false;
+
+  // Constants of SimpleSwap, so the same for every pool of the chain
+  const pool = new ethers.Contract(SIMPLE_SWAP_ADDRESS, SIMPLE_SWAP_ABI, chainProvider);
+  if (await hasFunction(pool, "FEE_NUMERATOR")) {
+    [swapFeeNumerator, swapFeeDenominator] = await Promise.all([pool.FEE_NUMERATOR(), pool.FEE_DENOMINATOR()]);
+  } else {
+    [swapFeeNumerator, swapFeeDenominator] = [ethers.constants.Zero, ethers.constants.One];
+  }
+
+  // Pools deployed before exact output swaps lack getAmountIn and swapTokensForExactTokens
+  const exactOutputSupported = await hasFunction(pool, "swapTokensForExactTokens");
+  swapModeSelect.querySelector("option[value=exactOut]").disabled = !exactOutputSupported;
+  if (!exactOutputSupported) swapModeSelect.value = "exactIn";
+  return true;
+}
+
+// Chains of CHAINS with a SimpleSwap deployment.
+function getSupportedChainIds() {
+  return Object.keys(CHAINS)
+    .map(Number)
+    .filter(chainId => contractsConfig?.chains[chainId]?.SimpleSwap);
+}
+
+function showUnsupportedNetwork(chainId) {
+  const buttons = getSupportedChainIds()
+    .map(id => `<button class="switchNetworkBtn" data-chain-id="${id}">Switch to ${CHAINS[id].name}</button>`)
+    .join(" ");
+  networkInfoDiv.textContent = `Network: unsupported (chain ${chainId})`;
+  showMessage(`SimpleSwap is not available on chain ${chainId}.<br/>${buttons}`, "error", true);
+}
+
+// Asks the wallet to switch to `chainId`, adding the network first if the wallet does not know it.
+// The wallet then emits `chainChanged`, which reconnects the app.
+async function switchNetwork(chainId) {
+  const chain = CHAINS[chainId];
+  const chainIdHex = ethers.utils.hexValue(chainId);
+
+  try {
+    await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: chainIdHex }] });
+  } catch (err) {
+    // 4902: unrecognized chain
+    if (err.code !== 4902) {
+      showMessage("Network switch failed: " + err.message, "error");
+      return;
+    }
+
+    try {
+      await window.ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [{
+          chainId: chainIdHex,
+          chainName: chain.name,
+          rpcUrls: chain.rpcUrls,
+          nativeCurrency: chain.nativeCurrency,
+          blockExplorerUrls: chain.explorer ? [chain.explorer] : undefined
+        }]
+      });
+    } catch (addErr) {
+      showMessage("Could not add network: " + addErr.message, "error");
+    }
+  }
+}
+
+messagesDiv.addEventListener("click", (event) => {
+  const button = event.target.closest(".switchNetworkBtn");
+  if (button) {
+    switchNetwork(Number(button.dataset.chainId));
+  }
+});
+
+// Shows the pool of `chainId` through its public RPC, before (or without) connecting a wallet.
+async function initReadOnly(chainId) {
+  unsubscribePoolUpdates();
+  try {
+    readProvider = new ethers.providers.JsonRpcProvider(CHAINS[chainId].rpcUrls[0], chainId);
+    currentChainId = chainId;
+    simpleSwapContract = undefined;
+
+    if (!(await loadContracts(chainId, readProvider))) {
+      networkInfoDiv.textContent = "";
+      return;
+    }
+    networkInfoDiv.textContent = `Network: ${CHAINS[chainId].name} (read-only)`;
+
+    simpleSwapContract = new ethers.Contract(SIMPLE_SWAP_ADDRESS, SIMPLE_SWAP_ABI, readProvider);
+    await loadPools();
+  } catch (err) {
+    console.error(err);
+    showMessage("Could not load the pool: " + err.message, "error");
+  }
+}
+
+function disconnectWallet() {
+  const chainId = CHAINS[currentChainId] ? currentChainId : DEFAULT_CHAIN_ID;
+  provider = undefined;
+  signer = undefined;
+  walletConnected = false;
+  accountDiv.textContent = "";
+  initFaucet();
+  initTransactions("");
+  showMessage("Wallet disconnected.", "info");
+  initReadOnly(chainId);
+}
+
+async function connectWallet() {
+  if (window.ethereum) {
+    try {
+      // A new provider on every connection: ethers keeps the network it was created on
+      unsubscribePoolUpdates();
+      provider = new ethers.providers.Web3Provider(window.ethereum);
+      await provider.send("eth_requestAccounts", []);
+      walletConnected = true;
+      const address = await provider.getSigner().getAddress();
+      accountDiv.textContent = `Connected: ${address}`;
+
+      const { chainId } = await provider.getNetwork();
+      if (!CHAINS[chainId] || !(await loadContracts(chainId, provider))) {
+        // Keep showing the default network, without a signer so nothing is sent to the wrong chain
+        signer = undefined;
+        initFaucet();
+        initTransactions("");
+        await initReadOnly(DEFAULT_CHAIN_ID);
+        showUnsupportedNetwork(chainId);
+        return;
+      }
+
+      signer = provider.getSigner();
+      readProvider = provider;
+      currentChainId = chainId;
+      networkInfoDiv.textContent = `Network: ${CHAINS[chainId].name}`;
+
+      simpleSwapContract = new ethers.Contract(SIMPLE_SWAP_ADDRESS, SIMPLE_SWAP_ABI, readProvider);
+      initFaucet();
+      initTransactions(address);
+      clearMessage();
+      await loadPools();
+    } catch (error) {
+      showMessage("Connection failed: " + error.message, "error");
+    }
+  } else {
+    alert("Please install MetaMask!");
+  }
+}
+
+connectBtn.addEventListener("click", connectWallet);
+
+if (window.ethereum) {
+  // Only react once the user has connected
+  window.ethereum.on("chainChanged", () => {
+    if (walletConnected) connectWallet();
+  });
+
+  window.ethereum.on("accountsChanged", (accounts) => {
+    if (!walletConnected) return;
+    if (accounts.length === 0) {
+      disconnectWallet();
+    } else {
+      connectWallet();
+    }
+  });
+}
+
+const poolSelect = document.getElementById("poolSelect");
+
+// Symbol of `tokenAddress`, or its short address when the token has no (readable) symbol.
+async function readSymbol(tokenAddress) {
+  try {
+    return await new ethers.Contract(tokenAddress, ERC20_ABI, readProvider).symbol();
+  } catch (err) {
+    console.error(err);
+    return shortAddress(tokenAddress);
+  }
+}
+
+// Lists the pools created by the factory, or only the default pool when no factory is configured.
+async function loadPools() {
+  let pools = [SIMPLE_SWAP_ADDRESS];
+
+  if (FACTORY_ADDRESS) {
+    try {
+      const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, readProvider);
+      const length = (await factory.allPoolsLength()).toNumber();
+      const created = await Promise.all([...Array(length).keys()].map(i => factory.allPools(i)));
+      if (created.length) pools = created;
+    } catch (err) {
+      console.error(err);
+      showMessage("Could not load pools from the factory, using the default pool.", "error");
+    }
+  }
+
+  // A pool that cannot be read is still listed, by its address
+  const labels = await Promise.all(pools.map(async pool => {
+    try {
+      const contract = new ethers.Contract(pool, SIMPLE_SWAP_ABI, readProvider);
+      const [tokenA, tokenB] = await Promise.all([contract.token_A(), contract.token_B()]);
+      const [symbolA, symbolB] = await Promise.all([readSymbol(tokenA), readSymbol(tokenB)]);
+      return `${symbolA} / ${symbolB} (${pool.slice(0, 8)}…)`;
+    } catch (err) {
+      console.error(err);
+      return pool;
+    }
+  }));
+
+  poolSelect.replaceChildren(...pools.map((pool, i) => {
+    const option = document.createElement("option");
+    option.value = pool;
+    option.textContent = labels[i];
+    return option;
+  }));
+  poolSelect.value = pools.includes(SIMPLE_SWAP_ADDRESS) ? SIMPLE_SWAP_ADDRESS : pools[0];
+  await selectPool(poolSelect.value);
+}
+
+// Names the direction options and amount inputs after the symbols of the selected pair.
+function renderTokenLabels() {
+  ["priceDirection", "swapDirection"].forEach(id => {
+    const select = document.getElementById(id);
+    select.querySelector('option[value="AtoB"]').textContent = `${TOKEN_A_SYMBOL} → ${TOKEN_B_SYMBOL}`;
+    select.querySelector('option[value="BtoA"]').textContent = `${TOKEN_B_SYMBOL} → ${TOKEN_A_SYMBOL}`;
+  });
+  document.getElementById("addAmountA").placeholder = `Amount ${TOKEN_A_SYMBOL}`;
+  document.getElementById("addAmountB").placeholder = `Amount ${TOKEN_B_SYMBOL}`;
+}
+
+// Points every panel to `poolAddress` and its token pair.
+async function selectPool(poolAddress) {
+  const contract = new ethers.Contract(poolAddress, SIMPLE_SWAP_ABI, readProvider);
+  TOKEN_A_ADDRESS = await contract.token_A();
+  TOKEN_B_ADDRESS = await contract.token_B();
+  [TOKEN_A_SYMBOL, TOKEN_B_SYMBOL] = await Promise.all([readSymbol(TOKEN_A_ADDRESS), readSymbol(TOKEN_B_ADDRESS)]);
+  SIMPLE_SWAP_ADDRESS = poolAddress;
+  simpleSwapContract = contract;
+
+  renderTokenLabels();
+  priceResultDiv.textContent = "";
+  updateSwapQuote();
+  updateRemoveLiquidityInfo();
+  updatePoolOverview();
+  updateBalances();
+  updatePosition();
+  resetActivity();
+  resetPriceChart();
+  subscribePoolUpdates();
+}
+
+poolSelect.addEventListener("change", () => {
+  selectPool(poolSelect.value).catch(err => {
+    console.error(err);
+    showMessage("Error selecting pool: " + err.message, "error");
+  });
+});
+
+getPriceBtn.addEventListener("click", async () => {
+  try {
+    if (!simpleSwapContract) {
+      showMessage("Pool not loaded yet.", "error");
+      return;
+    }
+
+    const direction = document.getElementById("priceDirection").value;
+    const tokenA = direction === "AtoB" ? TOKEN_A_ADDRESS : TOKEN_B_ADDRESS;
+    const tokenB = direction === "AtoB" ? TOKEN_B_ADDRESS : TOKEN_A_ADDRESS;
+
+    showMessage("Fetching price...", "info");
+
+    const price = await simpleSwapContract.getPrice(tokenA, tokenB);
+    const readablePrice = ethers.utils.formatUnits(price, 18);
+
+    priceResultDiv.textContent = `Price: ${readablePrice}`;
+    showMessage("Price fetched successfully.", "success");
+  } catch (err) {
+    console.error(err);
+    showMessage("Error getting price: " + describeError(err, err.message), "error");
+  }
+});
+
+const poolOverviewDiv = document.getElementById("poolOverview");
+const activityList = document.getElementById("activityList");
+const activityFilterSelect = document.getElementById("activityFilter");
+const loadOlderActivityBtn = document.getElementById("loadOlderActivityBtn");
+// Blocks queried per page of logs, small enough for the log range limit of public RPCs
+const ACTIVITY_PAGE_BLOCKS = 5000;
+const POOL_EVENTS = ["TokensSwapped", "LiquidityAdded", "LiquidityRemoved"];
+
+// Loaded pool events, newest first, and the block where the next (older) page ends.
+let activityEvents = [];
+let activityNextBlock = -1;
+let activityUser = "";
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function symbolOf(tokenAddress) {
+  return tokenAddress === TOKEN_A_ADDRESS ? TOKEN_A_SYMBOL : TOKEN_B_SYMBOL;
+}
+
+// Reserves, prices in both directions and LQP supply of the selected pool.
+async function updatePoolOverview() {
+  if (!simpleSwapContract) {
+    poolOverviewDiv.textContent = "";
+    return;
+  }
+
+  try {
+    const [reserveA, reserveB, totalSupply] = await Promise.all([
+      simpleSwapContract.reserve_A(),
+      simpleSwapContract.reserve_B(),
+      simpleSwapContract.totalSupply()
+    ]);
+
+    const [symbolA, symbolB] = [TOKEN_A_SYMBOL, TOKEN_B_SYMBOL].map(escapeHtml);
+    let prices = "Prices: no liquidity yet";
+    if (!reserveA.isZero() && !reserveB.isZero()) {
+      const [priceA, priceB] = await Promise.all([
+        simpleSwapContract.getPrice(TOKEN_A_ADDRESS, TOKEN_B_ADDRESS),
+        simpleSwapContract.getPrice(TOKEN_B_ADDRESS, TOKEN_A_ADDRESS)
+      ]);
+      prices = `1 ${symbolA} = ${ethers.utils.formatUnits(priceA, 18)} ${symbolB}<br/>` +
+        `1 ${symbolB} = ${ethers.utils.formatUnits(priceB, 18)} ${symbolA}`;
+    }
+
+    poolOverviewDiv.innerHTML = `
+      Reserves: ${ethers.utils.formatUnits(reserveA, 18)} ${symbolA} / ${ethers.utils.formatUnits(reserveB, 18)} ${symbolB}<br/>
+      ${prices}<br/>
+      LQP supply: ${ethers.utils.formatUnits(totalSupply, 18)}
+    `;
+  } catch (err) {
+    console.error(err);
+    poolOverviewDiv.textContent = "Pool data unavailable.";
+  }
+}
+
+function describePoolEvent(event) {
+  const { args } = event;
+  const format = amount => ethers.utils.formatUnits(amount, 18);
+
+  switch (event.event) {
+    case "TokensSwapped":
+      return `${shortAddress(args.user)} swapped ${format(args.amountIn)} ${symbolOf(args.tokenIn)} for ${format(args.amountOut)} ${symbolOf(args.tokenOut)}`;
+    case "LiquidityAdded":
+      return `${shortAddress(args.provider)} added ${format(args.amountA)} ${TOKEN_A_SYMBOL} + ${format(args.amountB)} ${TOKEN_B_SYMBOL}`;
+    default:
+      return `${shortAddress(args.provider)} removed ${format(args.amountA)} ${TOKEN_A_SYMBOL} + ${format(args.amountB)} ${TOKEN_B_SYMBOL}`;
+  }
+}
+
+function activityKey(event) {
+  return `${event.transactionHash}-${event.logIndex}`;
+}
+
+// Adds events to the feed, keeping it sorted newest first and without duplicates.
+function addActivityEvents(events) {
+  const known = new Set(activityEvents.map(activityKey));
+  activityEvents = activityEvents
+    .concat(events.filter(event => !known.has(activityKey(event))))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
+
+function eventAccount(event) {
+  return event.event === "TokensSwapped" ? event.args.user : event.args.provider;
+}
+
+function renderActivity() {
+  const mine = activityFilterSelect.value === "mine";
+  if (mine && !activityUser) {
+    activityList.innerHTML = "<li>Connect your wallet to see your transactions.</li>";
+    return;
+  }
+
+  const events = mine
+    ? activityEvents.filter(event => eventAccount(event).toLowerCase() === activityUser.toLowerCase())
+    : activityEvents;
+
+  activityList.innerHTML = events.length
+    ? events.map(event => `
+        <li>
+          #${event.blockNumber} ${escapeHtml(describePoolEvent(event))}
+          ${explorerLink(event.transactionHash)}
+        </li>
+      `).join("")
+    : "<li>No activity in the loaded blocks.</li>";
+  loadOlderActivityBtn.disabled = activityNextBlock < 0;
+  loadOlderActivityBtn.textContent = activityNextBlock < 0 ? "No older activity" : `Load older (before block ${activityNextBlock + 1})`;
+}
+
+// Loads the pool events of the next page of blocks, going back in time.
+async function loadActivityPage() {
+  const pool = simpleSwapContract;
+  if (!pool || activityNextBlock < 0) return;
+
+  const toBlock = activityNextBlock;
+  const fromBlock = Math.max(0, toBlock - ACTIVITY_PAGE_BLOCKS + 1);
+  loadOlderActivityBtn.disabled = true;
+
+  try {
+    const events = (await Promise.all(
+      POOL_EVENTS.map(eventName => pool.queryFilter(pool.filters[eventName](), fromBlock, toBlock))
+    )).flat();
+
+    // The pool may have changed while the logs were loading
+    if (pool !== simpleSwapContract) return;
+
+    addActivityEvents(events);
+    activityNextBlock = fromBlock - 1;
+    renderActivity();
+  } catch (err) {
+    console.error(err);
+    loadOlderActivityBtn.disabled = false;
+    showMessage("Could not load activity: " + err.message, "error");
+  }
+}
+
+// Restarts the feed of the selected pool from the latest block.
+async function resetActivity() {
+  activityEvents = [];
+  activityNextBlock = -1;
+  activityList.innerHTML = "";
+  activityUser = signer ? await signer.getAddress() : "";
+  if (!simpleSwapContract) return;
+
+  activityNextBlock = await readProvider.getBlockNumber();
+  await loadActivityPage();
+}
+
+activityFilterSelect.addEventListener("change", renderActivity);
+loadOlderActivityBtn.addEventListener("click", loadActivityPage);
+
+const priceRangeSelect = document.getElementById("priceRange");
+const priceChartCanvas = document.getElementById("priceChart");
+const priceChartInfoDiv = document.getElementById("priceChartInfo");
+// Events that move the reserves, FlashSwapped is not shown in the activity feed
+const HISTORY_EVENTS = POOL_EVENTS.concat("FlashSwapped");
+// Pages of logs loaded at most per chart update, to bound the requests sent to public RPCs
+const HISTORY_MAX_PAGES = 50;
+const HISTORY_STORAGE_PREFIX = "simpleSwap.priceHistory";
+const PRICE_CHART_DELAY_MS = 1000;
+
+// Events of the selected pool between fromBlock and toBlock, also kept in localStorage.
+let priceHistoryCache = null;
+let priceChartQueue = Promise.resolve();
+let priceChartTimer;
+
+function priceHistoryStorageKey() {
+  return `${HISTORY_STORAGE_PREFIX}.${currentChainId}.${SIMPLE_SWAP_ADDRESS.toLowerCase()}`;
+}
+
+function readPriceHistoryCache() {
+  try {
+    const stored = localStorage.getItem(priceHistoryStorageKey());
+    return stored ? PriceHistory.deserializeCache(stored) : null;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+function savePriceHistoryCache() {
+  try {
+    localStorage.setItem(priceHistoryCache.key, PriceHistory.serializeCache(priceHistoryCache));
+  } catch (err) {
+    // Full storage only costs reloading the logs
+    console.error(err);
+  }
+}
+
+// Logs of `contract` matching any of `filters` between two blocks, queried by pages.
+async function queryLogs(contract, filters, fromBlock, toBlock) {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += ACTIVITY_PAGE_BLOCKS) {
+    const to = Math.min(toBlock, from + ACTIVITY_PAGE_BLOCKS - 1);
+    logs.push(...(await Promise.all(filters.map(filter => contract.queryFilter(filter, from, to)))).flat());
+  }
+  return logs;
+}
+
+function toHistoryEvent(event, timestamp) {
+  const { args } = event;
+  const amount = value => BigInt(value.toString());
+  const base = { blockNumber: event.blockNumber, logIndex: event.logIndex, timestamp };
+
+  switch (event.event) {
+    case "TokensSwapped":
+      return { ...base, type: "swap", aToB: args.tokenIn === TOKEN_A_ADDRESS, amountIn: amount(args.amountIn), amountOut: amount(args.amountOut) };
+    case "LiquidityAdded":
+      return { ...base, type: "add", amountA: amount(args.amountA), amountB: amount(args.amountB) };
+    case "LiquidityRemoved":
+      return { ...base, type: "remove", amountA: amount(args.amountA), amountB: amount(args.amountB) };
+    default:
+      return {
+        ...base,
+        type: "flash",
+        amountAOut: amount(args.amountAOut),
+        amountBOut: amount(args.amountBOut),
+        amountAIn: amount(args.amountAIn),
+        amountBIn: amount(args.amountBIn)
+      };
+  }
+}
+
+// Reserve moving events of `pool` between two blocks, with the timestamp of their block.
+async function fetchHistoryEvents(pool, fromBlock, toBlock) {
+  const logs = await queryLogs(pool, HISTORY_EVENTS.map(eventName => pool.filters[eventName]()), fromBlock, toBlock);
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map(blockNumber => readProvider.getBlock(blockNumber)));
+  const timestamps = new Map(blocks.map(block => [block.number, block.timestamp]));
+  return logs.map(log => toHistoryEvent(log, timestamps.get(log.blockNumber)));
+}
+
+// Extends the cache up to `latest` and back to `since` (unix seconds), dropping it when its chain is gone.
+async function loadPriceHistory(pool, latest, since) {
+  const key = priceHistoryStorageKey();
+  let cache = priceHistoryCache && priceHistoryCache.key === key ? priceHistoryCache : readPriceHistoryCache();
+
+  const cachedBlock = cache && cache.toBlock <= latest.number ? await readProvider.getBlock(cache.toBlock) : null;
+  if (!PriceHistory.isCacheValid(cache, latest.number, cachedBlock && cachedBlock.hash)) {
+    // Nothing loaded yet: the next older page ends at the latest block
+    cache = { key, fromBlock: latest.number + 1, fromTimestamp: latest.timestamp, toBlock: latest.number, toBlockHash: latest.hash, events: [] };
+  }
+
+  if (cache.toBlock < latest.number) {
+    const events = await fetchHistoryEvents(pool, cache.toBlock + 1, latest.number);
+    cache.events = PriceHistory.mergeEvents(cache.events, events);
+    cache.toBlock = latest.number;
+    cache.toBlockHash = latest.hash;
+  }
+
+  for (let page = 0; page < HISTORY_MAX_PAGES && cache.fromBlock > 0 && cache.fromTimestamp > since; page++) {
+    const toBlock = cache.fromBlock - 1;
+    const fromBlock = Math.max(0, toBlock - ACTIVITY_PAGE_BLOCKS + 1);
+    const [events, block] = await Promise.all([
+      fetchHistoryEvents(pool, fromBlock, toBlock),
+      readProvider.getBlock(fromBlock)
+    ]);
+    cache.events = PriceHistory.mergeEvents(cache.events, events);
+    cache.fromBlock = fromBlock;
+    cache.fromTimestamp = block.timestamp;
+  }
+
+  return cache;
+}
+
+function formatPrice(price) {
+  return price.toPrecision(6);
+}
+
+function formatChartTime(time, duration) {
+  const date = new Date(time * 1000);
+  return duration > 24 * 60 * 60 ? date.toLocaleDateString() : date.toLocaleTimeString();
+}
+
+// Candlestick chart of the price of token A in token B, with its price and time bounds.
+function drawPriceChart(candles, duration) {
+  const context = priceChartCanvas.getContext("2d");
+  const { width, height } = priceChartCanvas;
+  const left = 70;
+  const top = 10;
+  const bottom = height - 20;
+  context.clearRect(0, 0, width, height);
+  context.font = "11px Arial";
+  context.fillStyle = "#333";
+
+  if (!candles.length) {
+    context.fillText("No price history in this range.", left, height / 2);
+    return;
+  }
+
+  let high = Math.max(...candles.map(candle => candle.high));
+  let low = Math.min(...candles.map(candle => candle.low));
+  // Some room around a flat or almost flat price
+  const margin = (high - low) * 0.05 || high * 0.01;
+  high += margin;
+  low -= margin;
+  const y = price => top + ((high - price) / (high - low)) * (bottom - top);
+  const step = (width - left - 10) / candles.length;
+
+  context.fillText(formatPrice(high), 2, top + 8);
+  context.fillText(formatPrice(low), 2, bottom);
+  context.fillText(formatChartTime(candles[0].time, duration), left, height - 4);
+  const lastTime = formatChartTime(candles[candles.length - 1].time, duration);
+  context.fillText(lastTime, width - 10 - context.measureText(lastTime).width, height - 4);
+
+  candles.forEach((candle, i) => {
+    const x = left + step * i + step / 2;
+    const color = candle.close >= candle.open ? "#3c763d" : "#a94442";
+    context.strokeStyle = color;
+    context.fillStyle = color;
+
+    context.beginPath();
+    context.moveTo(x, y(candle.high));
+    context.lineTo(x, y(candle.low));
+    context.stroke();
+
+    const bodyTop = y(Math.max(candle.open, candle.close));
+    const bodyHeight = Math.max(1, y(Math.min(candle.open, candle.close)) - bodyTop);
+    const bodyWidth = Math.max(1, step * 0.6);
+    context.fillRect(x - bodyWidth / 2, bodyTop, bodyWidth, bodyHeight);
+  });
+}
+
+async function renderPriceChart() {
+  const pool = simpleSwapContract;
+  if (!pool) return;
+
+  const range = PriceHistory.RANGES[priceRangeSelect.value];
+  try {
+    const latest = await readProvider.getBlock("latest");
+    const since = latest.timestamp - range.duration;
+    const [cache, reserveA, reserveB] = await Promise.all([
+      loadPriceHistory(pool, latest, since),
+      pool.reserve_A({ blockTag: latest.number }),
+      pool.reserve_B({ blockTag: latest.number })
+    ]);
+
+    // The pool may have changed while the logs were loading
+    if (pool !== simpleSwapContract) return;
+
+    priceHistoryCache = cache;
+    savePriceHistoryCache();
+
+    const points = PriceHistory.buildReserveHistory(
+      cache.events,
+      BigInt(reserveA.toString()),
+      BigInt(reserveB.toString()),
+      { blockNumber: cache.fromBlock, timestamp: cache.fromTimestamp }
+    );
+    const candles = PriceHistory.buildCandles(points, since, latest.timestamp + 1, range.interval);
+    drawPriceChart(candles, range.duration);
+
+    const lastPrice = PriceHistory.priceOf(BigInt(reserveA.toString()), BigInt(reserveB.toString()));
+    priceChartInfoDiv.textContent =
+      `Price of 1 ${TOKEN_A_SYMBOL} in ${TOKEN_B_SYMBOL}` +
+      (lastPrice === null ? ", no liquidity yet." : `, last: ${formatPrice(lastPrice)}.`) +
+      (cache.fromTimestamp > since ? ` History loaded from block ${cache.fromBlock}.` : "");
+  } catch (err) {
+    console.error(err);
+    priceChartInfoDiv.textContent = "Price history unavailable.";
+  }
+}
+
+// Redraws the chart, one update at a time so the cache is never extended twice in parallel.
+function updatePriceChart() {
+  priceChartQueue = priceChartQueue.then(renderPriceChart);
+  return priceChartQueue;
+}
+
+function schedulePriceChartUpdate() {
+  clearTimeout(priceChartTimer);
+  priceChartTimer = setTimeout(updatePriceChart, PRICE_CHART_DELAY_MS);
+}
+
+function resetPriceChart() {
+  priceChartCanvas.getContext("2d").clearRect(0, 0, priceChartCanvas.width, priceChartCanvas.height);
+  priceChartInfoDiv.textContent = "Loading price history...";
+  return updatePriceChart();
+}
+
+priceRangeSelect.addEventListener("change", updatePriceChart);
+
+const balancesPanelDiv = document.getElementById("balancesPanel");
+// Waits for a burst of events (e.g. Transfer + TokensSwapped of one swap) before refreshing once
+const REFRESH_DELAY_MS = 500;
+
+let poolSubscriptions = [];
+let refreshTimer;
+
+function formatAllowance(allowance) {
+  return allowance.eq(ethers.constants.MaxUint256) ? "unlimited" : ethers.utils.formatUnits(allowance, 18);
+}
+
+// Wallet balances, allowances given to the pool and share of the pool of the connected account.
+async function updateBalances() {
+  if (!signer || !simpleSwapContract) {
+    balancesPanelDiv.textContent = "Connect your wallet to see your balances.";
+    return;
+  }
+
+  try {
+    const userAddress = await signer.getAddress();
+    const tokenA = new ethers.Contract(TOKEN_A_ADDRESS, ERC20_ABI, readProvider);
+    const tokenB = new ethers.Contract(TOKEN_B_ADDRESS, ERC20_ABI, readProvider);
+    const [balanceA, balanceB, allowanceA, allowanceB, liquidity, totalSupply] = await Promise.all([
+      tokenA.balanceOf(userAddress),
+      tokenB.balanceOf(userAddress),
+      tokenA.allowance(userAddress, SIMPLE_SWAP_ADDRESS),
+      tokenB.allowance(userAddress, SIMPLE_SWAP_ADDRESS),
+      simpleSwapContract.balanceOf(userAddress),
+      simpleSwapContract.totalSupply()
+    ]);
+    const shareBps = totalSupply.isZero() ? 0 : liquidity.mul(10000).div(totalSupply).toNumber();
+
+    balancesPanelDiv.innerHTML = `
+      ${escapeHtml(TOKEN_A_SYMBOL)}: ${ethers.utils.formatUnits(balanceA, 18)} (allowance: ${formatAllowance(allowanceA)})<br/>
+      ${escapeHtml(TOKEN_B_SYMBOL)}: ${ethers.utils.formatUnits(balanceB, 18)} (allowance: ${formatAllowance(allowanceB)})<br/>
+      LQP: ${ethers.utils.formatUnits(liquidity, 18)} (pool share: ${formatBps(shareBps)})
+    `;
+  } catch (err) {
+    console.error(err);
+    balancesPanelDiv.textContent = "Balances unavailable.";
+  }
+}
+
+const positionPanelDiv = document.getElementById("positionPanel");
+
+// LiquidityAdded and LiquidityRemoved events of the account in the selected pool, loaded from
+// positionFromBlock to positionToBlock.
+let positionKey = "";
+let positionEvents = [];
+let positionFromBlock = 0;
+let positionToBlock = -1;
+let positionQueue = Promise.resolve();
+
+function toPositionEvent(event) {
+  const { args } = event;
+  const amount = value => BigInt(value.toString());
+  return {
+    type: event.event === "LiquidityAdded" ? "add" : "remove",
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    amountA: amount(args.amountA),
+    amountB: amount(args.amountB),
+    liquidity: amount(args.liquidity)
+  };
+}
+
+async function fetchPositionEvents(pool, userAddress, fromBlock, toBlock) {
+  const logs = await queryLogs(
+    pool,
+    [pool.filters.LiquidityAdded(userAddress), pool.filters.LiquidityRemoved(userAddress)],
+    fromBlock,
+    toBlock
+  );
+  return logs.map(toPositionEvent);
+}
+
+function loadedLiquidity() {
+  return positionEvents.reduce((total, event) => (event.type === "add" ? total + event.liquidity : total - event.liquidity), 0n);
+}
+
+// Loads the account events since the last update, and older pages until they account for `balance`.
+async function loadPositionEvents(pool, userAddress, balance, latestBlock) {
+  const key = `${currentChainId}.${pool.address}.${userAddress}`;
+  // A restarted local node is behind the loaded blocks
+  if (key !== positionKey || latestBlock < positionToBlock) {
+    positionKey = key;
+    positionEvents = [];
+    positionFromBlock = latestBlock + 1;
+    positionToBlock = latestBlock;
+  }
+
+  if (positionToBlock < latestBlock) {
+    positionEvents = positionEvents.concat(await fetchPositionEvents(pool, userAddress, positionToBlock + 1, latestBlock));
+    positionToBlock = latestBlock;
+  }
+
+  for (let page = 0; page < HISTORY_MAX_PAGES && positionFromBlock > 0 && loadedLiquidity() < balance; page++) {
+    const toBlock = positionFromBlock - 1;
+    const fromBlock = Math.max(0, toBlock - ACTIVITY_PAGE_BLOCKS + 1);
+    positionEvents = (await fetchPositionEvents(pool, userAddress, fromBlock, toBlock)).concat(positionEvents);
+    positionFromBlock = fromBlock;
+  }
+}
+
+// Underlying tokens, pool share, deposit value, impermanent loss and fees of the account LQP.
+async function renderPosition() {
+  const pool = simpleSwapContract;
+  if (!signer || !pool) {
+    positionPanelDiv.textContent = "Connect your wallet to see your liquidity position.";
+    return;
+  }
+
+  try {
+    const userAddress = await signer.getAddress();
+    const latestBlock = await readProvider.getBlockNumber();
+    const blockTag = { blockTag: latestBlock };
+    const [balance, totalSupply, reserveA, reserveB] = (await Promise.all([
+      pool.balanceOf(userAddress, blockTag),
+      pool.totalSupply(blockTag),
+      pool.reserve_A(blockTag),
+      pool.reserve_B(blockTag)
+    ])).map(value => BigInt(value.toString()));
+
+    if (balance === 0n) {
+      positionPanelDiv.textContent = "You have no liquidity in this pool.";
+      return;
+    }
+
+    await loadPositionEvents(pool, userAddress, balance, latestBlock);
+    // The pool may have changed while the logs were loading
+    if (pool !== simpleSwapContract) return;
+
+    const basis = LpPosition.depositBasis(positionEvents, balance);
+    const report = LpPosition.positionReport(balance, totalSupply, reserveA, reserveB, basis);
+    const format = amount => ethers.utils.formatUnits(amount.toString(), 18);
+    const [symbolA, symbolB] = [TOKEN_A_SYMBOL, TOKEN_B_SYMBOL].map(escapeHtml);
+
+    let html = `
+      Pooled: ${format(report.amountA)} ${symbolA} + ${format(report.amountB)} ${symbolB} (pool share: ${formatBps(report.shareBps)})<br/>
+      Value: ${format(report.value)} ${symbolB}
+    `;
+    if (basis) {
+      html += `<br/>
+        Value at deposit: ${format(report.depositValue)} ${symbolB} (P/L: ${format(report.profit)} ${symbolB})<br/>
+        Value if held: ${format(report.holdValue)} ${symbolB}<br/>
+        Impermanent loss: ${formatBps(report.impermanentLossBps)}<br/>
+        Fees earned: ${format(report.fees)} ${symbolB}
+      `;
+      if (basis.scaled) {
+        html += "<br/>Part of your LQP does not come from your deposits since block " +
+          `${positionFromBlock} (e.g. transfers), the deposit figures are scaled to your balance.`;
+      }
+    } else {
+      html += `<br/>No deposits of this account found since block ${positionFromBlock}.`;
+    }
+    positionPanelDiv.innerHTML = html;
+  } catch (err) {
+    console.error(err);
+    positionPanelDiv.textContent = "Position unavailable.";
+  }
+}
+
+// Updates the position panel, one update at a time so the events are never loaded twice.
+function updatePosition() {
+  positionQueue = positionQueue.then(renderPosition);
+  return positionQueue;
+}
+
+// Refreshes the pool overview, the balances and the position once, shortly after the last call.
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    updatePoolOverview();
+    updateBalances();
+    updatePosition();
+  }, REFRESH_DELAY_MS);
+}
+
+function subscribe(target, eventName, listener) {
+  target.on(eventName, listener);
+  poolSubscriptions.push({ target, eventName, listener });
+}
+
+function unsubscribePoolUpdates() {
+  poolSubscriptions.forEach(({ target, eventName, listener }) => target.off(eventName, listener));
+  poolSubscriptions = [];
+}
+
+// Refreshes on every block and on the events of the pool and of the account token transfers.
+async function subscribePoolUpdates() {
+  unsubscribePoolUpdates();
+  if (!simpleSwapContract) return;
+
+  const pool = simpleSwapContract;
+  subscribe(readProvider, "block", () => scheduleRefresh());
+  POOL_EVENTS.forEach(eventName => {
+    // ethers passes the decoded event as last argument
+    subscribe(pool, eventName, (...args) => {
+      addActivityEvents([args[args.length - 1]]);
+      renderActivity();
+      scheduleRefresh();
+      schedulePriceChartUpdate();
+    });
+  });
+  subscribe(pool, "FlashSwapped", () => schedulePriceChartUpdate());
+  subscribe(pool, "Transfer", () => scheduleRefresh());
+
+  if (signer) {
+    const userAddress = await signer.getAddress();
+    [TOKEN_A_ADDRESS, TOKEN_B_ADDRESS].forEach(tokenAddress => {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, readProvider);
+      subscribe(token, token.filters.Transfer(userAddress), () => scheduleRefresh());
+      subscribe(token, token.filters.Transfer(null, userAddress), () => scheduleRefresh());
+    });
+  }
+}
+
+const slippagePresetBtns = document.querySelectorAll(".slippagePreset");
+const slippageCustomInput = document.getElementById("slippageCustom");
+const deadlineMinutesInput = document.getElementById("deadlineMinutes");
+const settingsInfoDiv = document.getElementById("settingsInfo");
+
+function renderSettings() {
+  let isPreset = false;
+  slippagePresetBtns.forEach(btn => {
+    const active = Number(btn.dataset.bps) === settings.slippageBps;
+    btn.classList.toggle("active", active);
+    isPreset = isPreset || active;
+  });
+  if (!isPreset && document.activeElement !== slippageCustomInput) {
+    slippageCustomInput.value = settings.slippageBps / 100;
+  }
+  if (document.activeElement !== deadlineMinutesInput) {
+    deadlineMinutesInput.value = settings.deadlineMinutes;
+  }
+
+  const warnings = [];
+  if (settings.slippageBps < 10) {
+    warnings.push("⚠️ Very low slippage: your transaction may revert.");
+  } else if (settings.slippageBps > 500) {
+    warnings.push("⚠️ High slippage: your transaction may be frontrun.");
+  }
+  if (settings.deadlineMinutes > 60) {
+    warnings.push("⚠️ Long deadline: a pending transaction may execute at a much worse price.");
+  }
+
+  settingsInfoDiv.className = warnings.length ? "quote warning" : "quote";
+  settingsInfoDiv.innerHTML = `Slippage: ${formatBps(settings.slippageBps)} | Deadline: ${settings.deadlineMinutes} min` +
+    warnings.map(w => `<br/>${w}`).join("");
+}
+
+function setSlippage(bps) {
+  if (!isValidSlippage(bps)) {
+    settingsInfoDiv.className = "quote blocked";
+    settingsInfoDiv.textContent = `Slippage must be greater than 0% and at most ${formatBps(MAX_SLIPPAGE_BPS)}.`;
+    return;
+  }
+  settings.slippageBps = bps;
+  saveSettings();
+  renderSettings();
+  updateSwapQuote();
+}
 
-const SIMPLE_SWAP_ABI =[{"inputs":[{"internalType":"address","name":"_tokenA","type":"address"},{"internalType":"address","name":"_tokenB","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},{"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},{"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"provider","type":"address"},{"indexed":false,"internalType":"uint256","name":"amountA","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amountB","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"liquidity","type":"uint256"}],"name":"LiquidityAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"provider","type":"address"},{"indexed":false,"internalType":"uint256","name":"amountA","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amountB","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"liquidity","type":"uint256"}],"name":"LiquidityRemoved","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"address","name":"tokenIn","type":"address"},{"indexed":false,"internalType":"address","name":"tokenOut","type":"address"},{"indexed":false,"internalType":"uint256","name":"amountIn","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amountOut","type":"uint256"}],"name":"TokensSwapped","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},{"inputs":[{"internalType":"address","name":"tokenA","type":"address"},{"internalType":"address","name":"tokenB","type":"address"},{"internalType":"uint256","name":"amountADesired","type":"uint256"},{"internalType":"uint256","name":"amountBDesired","type":"uint256"},{"internalType":"uint256","name":"amountAMin","type":"uint256"},{"internalType":"uint256","name":"amountBMin","type":"uint256"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"name":"addLiquidity","outputs":[{"internalType":"uint256","name":"amountA","type":"uint256"},{"internalType":"uint256","name":"amountB","type":"uint256"},{"internalType":"uint256","name":"liquidity","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"amountIn","type":"uint256"},{"internalType":"uint256","name":"reserveIn","type":"uint256"},{"internalType":"uint256","name":"reserveOut","type":"uint256"}],"name":"getAmountOut","outputs":[{"internalType":"uint256","name":"amountOut","type":"uint256"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"address","name":"tokenA","type":"address"},{"internalType":"address","name":"tokenB","type":"address"}],"name":"getPrice","outputs":[{"internalType":"uint256","name":"price","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"tokenA","type":"address"},{"internalType":"address","name":"tokenB","type":"address"},{"internalType":"uint256","name":"liquidity","type":"uint256"},{"internalType":"uint256","name":"amountAMin","type":"uint256"},{"internalType":"uint256","name":"amountBMin","type":"uint256"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"name":"removeLiquidity","outputs":[{"internalType":"uint256","name":"amountA","type":"uint256"},{"internalType":"uint256","name":"amountB","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"reserve_A","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"reserve_B","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"amountIn","type":"uint256"},{"internalType":"uint256","name":"amountOutMin","type":"uint256"},{"internalType":"address[]","name":"path","type":"address[]"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"name":"swapExactTokensForTokens","outputs":[{"internalType":"uint256[]","name":"amounts","type":"uint256[]"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"token_A","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"token_B","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"}];
-const ERC20_ABI = [{"inputs":[{"internalType":"address","name":"recipient","type":"address"},{"internalType":"address","name":"initialOwner","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},{"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},{"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},{"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},{"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},{"inputs":[],"name":"EnforcedPause","type":"error"},{"inputs":[],"name":"ExpectedPause","type":"error"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Paused","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"account","type":"address"}],"name":"Unpaused","type":"event"},{"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"value","type":"uint256"}],"name":"burn","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"burnFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"mint","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"}];
-const FAUCET_ABI = [{"inputs":[{"internalType":"address","name":"_tokenA","type":"address"},{"internalType":"address","name":"_tokenB","type":"address"},{"internalType":"address","name":"owner_","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amountA","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amountB","type":"uint256"}],"name":"Claimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipReturned","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"inputs":[],"name":"amountA","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"amountB","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"claim","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"hasClaimed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"returnOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"tokenA","outputs":[{"internalType":"contract IERC20Mintable","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"tokenB","outputs":[{"internalType":"contract IERC20Mintable","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+slippagePresetBtns.forEach(btn => {
+  btn.addEventListener("click", () => {
+    slippageCustomInput.value = "";
+    setSlippage(Number(btn.dataset.bps));
+  });
+});
 
+slippageCustomInput.addEventListener("input", () => {
+  if (slippageCustomInput.value === "") return;
+  setSlippage(Math.round(parseFloat(slippageCustomInput.value) * 100));
+});
 
-function showMessage(text, type = "info", isHtml = false) {
-  messagesDiv.className = "message " + type;
-  if (isHtml) {
-    messagesDiv.innerHTML = text;
-  } else {
-    messagesDiv.textContent = text;
+deadlineMinutesInput.addEventListener("input", () => {
+  const minutes = Number(deadlineMinutesInput.value);
+  if (!isValidDeadline(minutes)) {
+    settingsInfoDiv.className = "quote blocked";
+    settingsInfoDiv.textContent = `Deadline must be a whole number of minutes between 1 and ${MAX_DEADLINE_MINUTES}.`;
+    return;
   }
+  settings.deadlineMinutes = minutes;
+  saveSettings();
+  renderSettings();
+});
+
+const swapDirectionSelect = document.getElementById("swapDirection");
+const swapModeSelect = document.getElementById("swapMode");
+const swapAmountInput = document.getElementById("swapAmount");
+const swapQuoteDiv = document.getElementById("swapQuote");
+
+const PRICE_IMPACT_WARNING_BPS = 300; // 3%
+const PRICE_IMPACT_BLOCK_BPS = 1500; // 15%
+
+function formatBps(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
 }
 
-function clearMessage() {
-  messagesDiv.textContent = "";
-  messagesDiv.innerHTML = "";
-  messagesDiv.className = "";
+// Maximum amount sent for `amount` under the configured slippage tolerance.
+function applySlippageMax(amount) {
+  return amount.mul(10000 + settings.slippageBps).div(10000);
 }
 
-async function connectWallet() {
-  if (window.ethereum) {
-    try {
-      provider = new ethers.providers.Web3Provider(window.ethereum);
-      await provider.send("eth_requestAccounts", []);
-      signer = provider.getSigner();
-      const address = await signer.getAddress();
-      accountDiv.textContent = `Connected: ${address}`;
+// Quotes a swap against the current reserves. In "exactIn" mode `amount` is the input and the
+// quote carries the minimum received; in "exactOut" mode `amount` is the output and the quote
+// carries the maximum sold. Both include the fee, the execution price versus the `getPrice`
+// spot price and the price impact in basis points. The exact input quote only needs the reserves and
+// `getAmountOut`, so it does not depend on the `getQuote` view of newer deployments.
+async function getSwapQuote(direction, amount, mode) {
+  const isAtoB = direction === "AtoB";
+  const tokenIn = isAtoB ? TOKEN_A_ADDRESS : TOKEN_B_ADDRESS;
+  const tokenOut = isAtoB ? TOKEN_B_ADDRESS : TOKEN_A_ADDRESS;
 
-      simpleSwapContract = new ethers.Contract(SIMPLE_SWAP_ADDRESS, SIMPLE_SWAP_ABI, signer);
-      clearMessage();
-    } catch (error) {
-      showMessage("Connection failed: " + error.message, "error");
-    }
+  const reserveA = await simpleSwapContract.reserve_A();
+  const reserveB = await simpleSwapContract.reserve_B();
+  const [reserveIn, reserveOut] = isAtoB ? [reserveA, reserveB] : [reserveB, reserveA];
+
+  let amountIn;
+  let amountOut;
+  if (mode === "exactOut") {
+    amountOut = amount;
+    amountIn = await simpleSwapContract.getAmountIn(amountOut, reserveIn, reserveOut);
   } else {
-    alert("Please install MetaMask!");
+    amountIn = amount;
+    amountOut = await simpleSwapContract.getAmountOut(amountIn, reserveIn, reserveOut);
   }
+
+  const fee = amountIn.mul(swapFeeNumerator).div(swapFeeDenominator);
+  const spotPrice = await simpleSwapContract.getPrice(tokenIn, tokenOut);
+  const executionPrice = amountOut.mul(ethers.constants.WeiPerEther).div(amountIn);
+  const priceImpactBps = spotPrice.sub(executionPrice).mul(10000).div(spotPrice).toNumber();
+
+  return {
+    tokenIn,
+    tokenOut,
+    amountIn,
+    amountOut,
+    amountOutMin: applySlippage(amountOut),
+    amountInMax: applySlippageMax(amountIn),
+    fee,
+    spotPrice,
+    executionPrice,
+    priceImpactBps
+  };
 }
 
-connectBtn.addEventListener("click", connectWallet);
+async function updateSwapQuote() {
+  swapQuoteDiv.className = "quote";
+  swapQuoteDiv.innerHTML = "";
+  swapBtn.disabled = false;
+  swapAmountInput.placeholder = swapModeSelect.value === "exactOut" ? "Amount to receive" : "Amount to sell";
+  if (!simpleSwapContract) return;
+
+  const amount = swapAmountInput.value;
+  if (!amount || isNaN(amount) || parseFloat(amount) <= 0) return;
+
+  const direction = swapDirectionSelect.value;
+  const mode = swapModeSelect.value;
+  const symbols = [TOKEN_A_SYMBOL, TOKEN_B_SYMBOL].map(escapeHtml);
+  const [symbolIn, symbolOut] = direction === "AtoB" ? symbols : [...symbols].reverse();
 
-getPriceBtn.addEventListener("click", async () => {
   try {
-    if (!signer) {
-      showMessage("Please connect your wallet first to get price.", "error");
-      return;
-    }
+    const quote = await getSwapQuote(direction, ethers.utils.parseUnits(amount, 18), mode);
 
-    const direction = document.getElementById("priceDirection").value;
-    const tokenA = direction === "AtoB" ? TOKEN_A_ADDRESS : TOKEN_B_ADDRESS;
-    const tokenB = direction === "AtoB" ? TOKEN_B_ADDRESS : TOKEN_A_ADDRESS;
+    // The user may have kept typing while the quote was being fetched.
+    if (swapAmountInput.value !== amount || swapDirectionSelect.value !== direction || swapModeSelect.value !== mode) return;
 
-    showMessage("Fetching price...", "info");
+    const limitLine = mode === "exactOut"
+      ? `Maximum sold: ${ethers.utils.formatUnits(quote.amountInMax, 18)} ${symbolIn}`
+      : `Minimum received: ${ethers.utils.formatUnits(quote.amountOutMin, 18)} ${symbolOut}`;
+    const amountLine = mode === "exactOut"
+      ? `Expected input: ${ethers.utils.formatUnits(quote.amountIn, 18)} ${symbolIn}`
+      : `Expected output: ${ethers.utils.formatUnits(quote.amountOut, 18)} ${symbolOut}`;
 
-    const price = await simpleSwapContract.getPrice(tokenA, tokenB);
-    const readablePrice = ethers.utils.formatUnits(price, 18);
+    swapQuoteDiv.innerHTML = `
+      ${amountLine}<br/>
+      Execution price: ${ethers.utils.formatUnits(quote.executionPrice, 18)} ${symbolOut} per ${symbolIn}<br/>
+      Spot price: ${ethers.utils.formatUnits(quote.spotPrice, 18)} ${symbolOut} per ${symbolIn}<br/>
+      Price impact: ${formatBps(quote.priceImpactBps)} (includes ${formatBps(swapFeeNumerator.mul(10000).div(swapFeeDenominator).toNumber())} fee)<br/>
+      Swap fee: ${ethers.utils.formatUnits(quote.fee, 18)} ${symbolIn}<br/>
+      ${limitLine}
+    `;
 
-    priceResultDiv.textContent = `Price: ${readablePrice}`;
-    showMessage("Price fetched successfully.", "success");
+    if (quote.priceImpactBps >= PRICE_IMPACT_BLOCK_BPS) {
+      swapQuoteDiv.className = "quote blocked";
+      swapQuoteDiv.innerHTML += "<br/>⛔ Price impact too high, swap disabled.";
+    } else if (quote.priceImpactBps >= PRICE_IMPACT_WARNING_BPS) {
+      swapQuoteDiv.className = "quote warning";
+      swapQuoteDiv.innerHTML += "<br/>⚠️ High price impact.";
+    }
+    swapBtn.disabled = quote.priceImpactBps >= PRICE_IMPACT_BLOCK_BPS;
   } catch (err) {
     console.error(err);
-    showMessage("Error getting price: " + err.message, "error");
+    swapQuoteDiv.textContent = "Quote unavailable (is there enough liquidity in the pool?).";
   }
-});
+}
+
+renderSettings();
+
+swapAmountInput.addEventListener("input", updateSwapQuote);
+swapDirectionSelect.addEventListener("change", updateSwapQuote);
+swapModeSelect.addEventListener("change", updateSwapQuote);
+
+// Swap of the simulation, from the amounts of the first and last token of the path
+function swapDetails(amounts, tokenIn, tokenOut) {
+  return {
+    amountIn: formatUnits(amounts[0]),
+    symbolIn: tokenName(tokenIn),
+    amountOut: formatUnits(amounts[amounts.length - 1]),
+    symbolOut: tokenName(tokenOut)
+  };
+}
 
 swapBtn.addEventListener("click", async () => {
   try {
@@ -86,54 +1484,67 @@ swapBtn.addEventListener("click", async () => {
       return;
     }
 
-    const direction = document.getElementById("swapDirection").value;
-    const amount = document.getElementById("swapAmount").value;
+    const direction = swapDirectionSelect.value;
+    const mode = swapModeSelect.value;
+    const amount = swapAmountInput.value;
 
     if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
       showMessage("Please enter a valid amount greater than 0.", "error");
       return;
     }
 
-    const amountIn = ethers.utils.parseUnits(amount, 18);
+    const parsedAmount = ethers.utils.parseUnits(amount, 18);
 
-    const tokenIn = direction === "AtoB" ? TOKEN_A_ADDRESS : TOKEN_B_ADDRESS;
-    const tokenOut = direction === "AtoB" ? TOKEN_B_ADDRESS : TOKEN_A_ADDRESS;
-    const path = [tokenIn, tokenOut];
+    const quote = await getSwapQuote(direction, parsedAmount, mode);
+    if (quote.priceImpactBps >= PRICE_IMPACT_BLOCK_BPS) {
+      showMessage(`Price impact too high (${formatBps(quote.priceImpactBps)}). Reduce the amount.`, "error");
+      return;
+    }
 
-    const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, signer);
+    const path = [quote.tokenIn, quote.tokenOut];
     const userAddress = await signer.getAddress();
+    // The quoted input, not amountInMax: the slippage margin does not need to be held
+    await ensureBalance(quote.tokenIn, quote.amountIn);
+    const usePermit = await canUsePermit(quote.tokenIn);
 
-    const allowance = await tokenContract.allowance(userAddress, SIMPLE_SWAP_ADDRESS);
-    if (allowance.lt(amountIn)) {
-      const approveTx = await tokenContract.approve(SIMPLE_SWAP_ADDRESS, ethers.constants.MaxUint256);
-      await approveTx.wait();
+    if (!usePermit && await ensureAllowance(quote.tokenIn, mode === "exactOut" ? quote.amountInMax : quote.amountIn)) {
       showMessage("Approved token for swap.", "info");
     }
 
-    const reservesA = await simpleSwapContract.reserve_A();
-    const reservesB = await simpleSwapContract.reserve_B();
-    const [reserveIn, reserveOut] = direction === "AtoB"
-      ? [reservesA, reservesB]
-      : [reservesB, reservesA];
+    // Re-quote: reserves may have moved while the approval was being mined.
+    const { amountIn, amountOut, amountOutMin, amountInMax } = await getSwapQuote(direction, parsedAmount, mode);
+    const deadline = getDeadline();
 
-    const amountOut = amountIn.mul(reserveOut).div(reserveIn.add(amountIn));
-    const slippageTolerance = 995; // 99.5%
-    const amountOutMin = amountOut.mul(slippageTolerance).div(1000);
-    const deadline = Math.floor(Date.now() / 1000) + 600;
+    let tx, details, gasLimit;
+    if (usePermit) {
+      showMessage("Sign the permit for the input token in your wallet...", "info");
+      const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, signer);
+      const { v, r, s } = await signPermit(
+        quote.tokenIn,
+        ROUTER_ADDRESS,
+        mode === "exactOut" ? amountInMax : amountIn,
+        deadline
+      );
 
-    showMessage("Submitting swap transaction...", "info");
-
-    const tx = await simpleSwapContract.swapExactTokensForTokens(
-      amountIn,
-      amountOutMin,
-      path,
-      userAddress,
-      deadline
-    );
+      const method = mode === "exactOut" ? "swapTokensForExactTokensWithPermit" : "swapExactTokensForTokensWithPermit";
+      const args = mode === "exactOut"
+        ? [amountOut, amountInMax, path, userAddress, deadline, v, r, s]
+        : [amountIn, amountOutMin, path, userAddress, deadline, v, r, s];
+      ({ details, gasLimit } = await simulate(router, method, args, "swap", amounts => swapDetails(amounts, quote.tokenIn, quote.tokenOut)));
+      tx = await router[method](...args, { gasLimit });
+    } else {
+      const method = mode === "exactOut" ? "swapTokensForExactTokens" : "swapExactTokensForTokens";
+      const args = mode === "exactOut"
+        ? [amountOut, amountInMax, path, userAddress, deadline]
+        : [amountIn, amountOutMin, path, userAddress, deadline];
+      ({ details, gasLimit } = await simulate(simpleSwapContract, method, args, "swap", amounts => swapDetails(amounts, quote.tokenIn, quote.tokenOut)));
+      tx = await simpleSwapContract.connect(signer)[method](...args, { gasLimit });
+    }
+    trackTransaction(tx, "swap", details);
 
     showMessage(`
       ⏳ Transaction sent.<br/>
-      <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">View on Etherscan</a>
+      ${explorerLink(tx.hash)}
     `, "info", true);
 
     const receipt = await tx.wait();
@@ -141,12 +1552,12 @@ swapBtn.addEventListener("click", async () => {
     if (receipt.status === 1) {
       showMessage(`
         ✅ Swap successful!<br/>
-        <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">View on Etherscan</a>
+        ${explorerLink(tx.hash)}
       `, "success", true);
     } else {
       showMessage(`
         ❌ Swap reverted (failed).<br/>
-        <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">View on Etherscan</a>
+        ${explorerLink(tx.hash)}
       `, "error", true);
     }
 
@@ -156,33 +1567,355 @@ swapBtn.addEventListener("click", async () => {
 
     if (txHash) {
       showMessage(`
-        ⚠️ Error while processing transaction.<br/>
-        <a href="https://sepolia.etherscan.io/tx/${txHash}" target="_blank">View on Etherscan</a>
+        ⚠️ ${escapeHtml(describeError(err, "Error while processing transaction."))}<br/>
+        ${explorerLink(txHash)}
       `, "error", true);
     } else {
-      showMessage("Swap failed. Check console for details.", "error");
+      showMessage(describeError(err, "Swap failed. Check console for details."), "error");
     }
   }
   finally {
-    document.getElementById("swapAmount").value = "";
+    swapAmountInput.value = "";
+    updateSwapQuote();
+  }
+});
+
+const addAmountAInput = document.getElementById("addAmountA");
+const addAmountBInput = document.getElementById("addAmountB");
+const addLiquidityInfoDiv = document.getElementById("addLiquidityInfo");
+const addLiquidityBtn = document.getElementById("addLiquidityBtn");
+const removePercentInput = document.getElementById("removePercent");
+const removePercentLabel = document.getElementById("removePercentLabel");
+const removeLiquidityInfoDiv = document.getElementById("removeLiquidityInfo");
+const removeLiquidityBtn = document.getElementById("removeLiquidityBtn");
+
+// Fills the counterpart amount with the same ratio the contract uses in `_calculateOptimalAmounts`.
+// On an empty pool both amounts are free, so nothing is filled.
+async function fillOptimalAmount(editedInput, counterpartInput, isTokenAEdited) {
+  addLiquidityInfoDiv.textContent = "";
+  if (!simpleSwapContract) return;
+
+  const amount = editedInput.value;
+  if (!amount || isNaN(amount) || parseFloat(amount) <= 0) return;
+
+  try {
+    const reserveA = await simpleSwapContract.reserve_A();
+    const reserveB = await simpleSwapContract.reserve_B();
+
+    if (reserveA.isZero() && reserveB.isZero()) {
+      addLiquidityInfoDiv.textContent = "Empty pool: you set the initial price.";
+      return;
+    }
+
+    const amountIn = ethers.utils.parseUnits(amount, 18);
+    const optimal = isTokenAEdited
+      ? amountIn.mul(reserveB).div(reserveA)
+      : amountIn.mul(reserveA).div(reserveB);
+
+    counterpartInput.value = ethers.utils.formatUnits(optimal, 18);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+addAmountAInput.addEventListener("input", () => fillOptimalAmount(addAmountAInput, addAmountBInput, true));
+addAmountBInput.addEventListener("input", () => fillOptimalAmount(addAmountBInput, addAmountAInput, false));
+
+addLiquidityBtn.addEventListener("click", async () => {
+  try {
+    if (!signer || !simpleSwapContract) {
+      showMessage("Please connect your wallet first.", "error");
+      return;
+    }
+
+    const amountA = addAmountAInput.value;
+    const amountB = addAmountBInput.value;
+
+    if (!amountA || isNaN(amountA) || parseFloat(amountA) <= 0 ||
+        !amountB || isNaN(amountB) || parseFloat(amountB) <= 0) {
+      showMessage("Please enter valid amounts greater than 0 for both tokens.", "error");
+      return;
+    }
+
+    const amountADesired = ethers.utils.parseUnits(amountA, 18);
+    const amountBDesired = ethers.utils.parseUnits(amountB, 18);
+    const amountAMin = applySlippage(amountADesired);
+    const amountBMin = applySlippage(amountBDesired);
+    const deadline = getDeadline();
+    const userAddress = await signer.getAddress();
+
+    await ensureBalance(TOKEN_A_ADDRESS, amountADesired);
+    await ensureBalance(TOKEN_B_ADDRESS, amountBDesired);
+
+    if (await ensureAllowance(TOKEN_A_ADDRESS, amountADesired)) {
+      showMessage(`Approved ${TOKEN_A_SYMBOL}.`, "info");
+    }
+    if (await ensureAllowance(TOKEN_B_ADDRESS, amountBDesired)) {
+      showMessage(`Approved ${TOKEN_B_SYMBOL}.`, "info");
+    }
+
+    const args = [TOKEN_A_ADDRESS, TOKEN_B_ADDRESS, amountADesired, amountBDesired, amountAMin, amountBMin, userAddress, deadline];
+    const { details, gasLimit } = await simulate(simpleSwapContract, "addLiquidity", args, "addLiquidity", ([depositA, depositB, liquidity]) => ({
+      amountA: formatUnits(depositA),
+      symbolA: TOKEN_A_SYMBOL,
+      amountB: formatUnits(depositB),
+      symbolB: TOKEN_B_SYMBOL,
+      liquidity: formatUnits(liquidity)
+    }));
+    const tx = await simpleSwapContract.connect(signer).addLiquidity(...args, { gasLimit });
+    trackTransaction(tx, "addLiquidity", details);
+
+    showMessage(`
+      ⏳ Transaction sent.<br/>
+      ${explorerLink(tx.hash)}
+    `, "info", true);
+
+    const receipt = await tx.wait();
+    const event = receipt.events?.find(e => e.event === "LiquidityAdded");
+
+    if (receipt.status === 1 && event) {
+      showMessage(`
+        ✅ Liquidity added!<br/>
+        ${escapeHtml(TOKEN_A_SYMBOL)}: ${ethers.utils.formatUnits(event.args.amountA, 18)}<br/>
+        ${escapeHtml(TOKEN_B_SYMBOL)}: ${ethers.utils.formatUnits(event.args.amountB, 18)}<br/>
+        LQP minted: ${ethers.utils.formatUnits(event.args.liquidity, 18)}<br/>
+        ${explorerLink(tx.hash)}
+      `, "success", true);
+    } else {
+      showMessage(`
+        ❌ Add liquidity reverted (failed).<br/>
+        ${explorerLink(tx.hash)}
+      `, "error", true);
+    }
+
+    addAmountAInput.value = "";
+    addAmountBInput.value = "";
+    updateRemoveLiquidityInfo();
+  } catch (err) {
+    console.error(err);
+    const txHash = err?.transaction?.hash;
+
+    if (txHash) {
+      showMessage(`
+        ⚠️ ${escapeHtml(describeError(err, "Error while processing transaction."))}<br/>
+        ${explorerLink(txHash)}
+      `, "error", true);
+    } else {
+      showMessage(describeError(err, "Add liquidity failed. Check console for details."), "error");
+    }
+  }
+});
+
+// Returns the LQP amount selected with the slider and the token amounts it redeems today.
+async function getRemoveLiquidityAmounts() {
+  const userAddress = await signer.getAddress();
+  const balance = await simpleSwapContract.balanceOf(userAddress);
+  const liquidity = balance.mul(removePercentInput.value).div(100);
+  const totalSupply = await simpleSwapContract.totalSupply();
+
+  if (totalSupply.isZero()) {
+    return { balance, liquidity, amountA: ethers.constants.Zero, amountB: ethers.constants.Zero };
+  }
+
+  const reserveA = await simpleSwapContract.reserve_A();
+  const reserveB = await simpleSwapContract.reserve_B();
+
+  return {
+    balance,
+    liquidity,
+    amountA: liquidity.mul(reserveA).div(totalSupply),
+    amountB: liquidity.mul(reserveB).div(totalSupply)
+  };
+}
+
+async function updateRemoveLiquidityInfo() {
+  removePercentLabel.textContent = removePercentInput.value;
+  if (!signer || !simpleSwapContract) return;
+
+  try {
+    const { balance, liquidity, amountA, amountB } = await getRemoveLiquidityAmounts();
+    removeLiquidityInfoDiv.textContent =
+      `LQP balance: ${ethers.utils.formatUnits(balance, 18)} | ` +
+      `Burn: ${ethers.utils.formatUnits(liquidity, 18)} LQP → ` +
+      `${ethers.utils.formatUnits(amountA, 18)} ${TOKEN_A_SYMBOL} + ${ethers.utils.formatUnits(amountB, 18)} ${TOKEN_B_SYMBOL}`;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+removePercentInput.addEventListener("input", updateRemoveLiquidityInfo);
+
+removeLiquidityBtn.addEventListener("click", async () => {
+  try {
+    if (!signer || !simpleSwapContract) {
+      showMessage("Please connect your wallet first.", "error");
+      return;
+    }
+
+    const { liquidity, amountA, amountB } = await getRemoveLiquidityAmounts();
+
+    if (liquidity.isZero()) {
+      showMessage("You have no LQP tokens to remove.", "error");
+      return;
+    }
+
+    const amountAMin = applySlippage(amountA);
+    const amountBMin = applySlippage(amountB);
+    const deadline = getDeadline();
+    const userAddress = await signer.getAddress();
+
+    // Through the router when the pool is registered in the factory, the LQP moved with a signed permit.
+    // Otherwise the pool burns the caller's LQP directly, which needs no approval either.
+    const args = [TOKEN_A_ADDRESS, TOKEN_B_ADDRESS, liquidity, amountAMin, amountBMin, userAddress, deadline];
+    const removalDetails = ([returnedA, returnedB]) => ({
+      liquidity: formatUnits(liquidity),
+      amountA: formatUnits(returnedA),
+      symbolA: TOKEN_A_SYMBOL,
+      amountB: formatUnits(returnedB),
+      symbolB: TOKEN_B_SYMBOL
+    });
+
+    let tx, details, gasLimit;
+    if (await canUsePermit(SIMPLE_SWAP_ADDRESS)) {
+      showMessage("Sign the permit for your LQP tokens in your wallet...", "info");
+      const router = new ethers.Contract(ROUTER_ADDRESS, ROUTER_ABI, signer);
+      const { v, r, s } = await signPermit(SIMPLE_SWAP_ADDRESS, ROUTER_ADDRESS, liquidity, deadline);
+
+      const permitArgs = [...args, v, r, s];
+      ({ details, gasLimit } = await simulate(router, "removeLiquidityWithPermit", permitArgs, "removeLiquidity", removalDetails));
+      tx = await router.removeLiquidityWithPermit(...permitArgs, { gasLimit });
+    } else {
+      ({ details, gasLimit } = await simulate(simpleSwapContract, "removeLiquidity", args, "removeLiquidity", removalDetails));
+      tx = await simpleSwapContract.connect(signer).removeLiquidity(...args, { gasLimit });
+    }
+    trackTransaction(tx, "removeLiquidity", details);
+
+    showMessage(`
+      ⏳ Transaction sent.<br/>
+      ${explorerLink(tx.hash)}
+    `, "info", true);
+
+    const receipt = await tx.wait();
+    // Emitted by the pool, also when the removal goes through the router
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === SIMPLE_SWAP_ADDRESS.toLowerCase())
+      .map(log => simpleSwapContract.interface.parseLog(log))
+      .find(parsed => parsed.name === "LiquidityRemoved");
+
+    if (receipt.status === 1 && event) {
+      showMessage(`
+        ✅ Liquidity removed!<br/>
+        ${escapeHtml(TOKEN_A_SYMBOL)}: ${ethers.utils.formatUnits(event.args.amountA, 18)}<br/>
+        ${escapeHtml(TOKEN_B_SYMBOL)}: ${ethers.utils.formatUnits(event.args.amountB, 18)}<br/>
+        LQP burned: ${ethers.utils.formatUnits(event.args.liquidity, 18)}<br/>
+        ${explorerLink(tx.hash)}
+      `, "success", true);
+    } else {
+      showMessage(`
+        ❌ Remove liquidity reverted (failed).<br/>
+        ${explorerLink(tx.hash)}
+      `, "error", true);
+    }
+
+    updateRemoveLiquidityInfo();
+  } catch (err) {
+    console.error(err);
+    const txHash = err?.transaction?.hash;
+
+    if (txHash) {
+      showMessage(`
+        ⚠️ ${escapeHtml(describeError(err, "Error while processing transaction."))}<br/>
+        ${explorerLink(txHash)}
+      `, "error", true);
+    } else {
+      showMessage(describeError(err, "Remove liquidity failed. Check console for details."), "error");
+    }
   }
 });
 
 const claimTokensBtn = document.getElementById("claimTokensBtn");
+const faucetInfoDiv = document.getElementById("faucetInfo");
 
 let faucetContract;
+// Amounts and symbols of the drip, as recorded with a claim; null until read
+let faucetDrip = null;
+let nextClaimAt = 0;
 
 function initFaucet() {
-  if (signer) {
-    faucetContract = new ethers.Contract(FAUCET_ADDRESS, FAUCET_ABI, signer);
+  faucetContract = undefined;
+  faucetDrip = null;
+  faucetInfoDiv.textContent = "";
+  claimTokensBtn.disabled = false;
+
+  if (signer && FAUCET_ADDRESS) {
+    faucetContract = new ethers.Contract(FAUCET_ADDRESS, FAUCET_ABI, readProvider);
+    updateFaucetInfo();
   }
 }
 
-connectBtn.addEventListener("click", () => {
-  connectWallet().then(() => {
-    initFaucet();
-  });
-});
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
+}
+
+// Next claim time of `account`. A faucet without cooldown never allows a second claim (Infinity).
+async function readNextClaimAt(account) {
+  if (await hasFunction(faucetContract, "nextClaimAt")) {
+    return (await faucetContract.nextClaimAt(account)).toNumber();
+  }
+  const oneTimeFaucet = new ethers.Contract(FAUCET_ADDRESS, ONE_TIME_FAUCET_ABI, readProvider);
+  return (await oneTimeFaucet.hasClaimed(account)) ? Infinity : 0;
+}
+
+// Reads the drip amounts and the next claim time of the connected account.
+async function updateFaucetInfo() {
+  if (!faucetContract) return;
+
+  try {
+    const userAddress = await signer.getAddress();
+    // The faucet tokens, not the pool ones: the factory may have put them in the other order
+    const [amountA, amountB, symbolA, symbolB, next] = await Promise.all([
+      faucetContract.amountA(),
+      faucetContract.amountB(),
+      faucetContract.tokenA().then(readSymbol),
+      faucetContract.tokenB().then(readSymbol),
+      readNextClaimAt(userAddress)
+    ]);
+
+    faucetDrip = {
+      amountA: formatUnits(amountA),
+      symbolA,
+      amountB: formatUnits(amountB),
+      symbolB
+    };
+    nextClaimAt = next;
+    renderFaucetCooldown();
+  } catch (err) {
+    console.error(err);
+    faucetInfoDiv.textContent = "";
+  }
+}
+
+// Shows the remaining cooldown, counting down locally between reads.
+function renderFaucetCooldown() {
+  if (!faucetDrip) return;
+
+  const drip = `${faucetDrip.amountA} ${faucetDrip.symbolA} + ${faucetDrip.amountB} ${faucetDrip.symbolB}`;
+  const remaining = nextClaimAt - Math.floor(Date.now() / 1000);
+  claimTokensBtn.disabled = remaining > 0;
+  if (remaining === Infinity) {
+    faucetInfoDiv.textContent = `Already claimed: this faucet allows one claim of ${drip} per account`;
+  } else {
+    faucetInfoDiv.textContent = remaining > 0
+      ? `Next claim in ${formatDuration(remaining)} (${drip})`
+      : `You can claim ${drip}`;
+  }
+}
+
+setInterval(renderFaucetCooldown, 1000);
+
 
 claimTokensBtn.addEventListener("click", async () => {
   try {
@@ -191,44 +1924,234 @@ claimTokensBtn.addEventListener("click", async () => {
       return;
     }
 
-    showMessage("Claiming tokens...", "info");
+    const remaining = nextClaimAt - Math.floor(Date.now() / 1000);
+    if (remaining === Infinity) {
+      showMessage("This account already claimed from the faucet.", "error");
+      return;
+    }
+    if (remaining > 0) {
+      showMessage(`Faucet cooldown active, try again in ${formatDuration(remaining)}.`, "error");
+      return;
+    }
 
-    const tx = await faucetContract.claim();
+    const { details, gasLimit } = await simulate(faucetContract, "claim", [], "claim", () => faucetDrip);
+    const tx = await faucetContract.connect(signer).claim({ gasLimit });
+    trackTransaction(tx, "claim", details);
 
     showMessage(`
       ⏳ Claim transaction sent.<br/>
-      <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">
-        View on Etherscan
-      </a>
+      ${explorerLink(tx.hash)}
     `, "info", true);
 
     const receipt = await tx.wait();
     if (receipt.status === 1) {
       showMessage(`
         ✅ Tokens claimed successfully!<br/>
-        <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">
-          View on Etherscan
-        </a>
+        ${explorerLink(tx.hash)}
       `, "success", true);
     } else {
       showMessage("❌ Claim failed. Try again later.", "error");
     }
+    updateFaucetInfo();
 
   } catch (err) {
     console.error(err);
     const txHash = err?.transaction?.hash;
     if (txHash) {
       showMessage(`
-        ⚠️ Claim failed. See details below.<br/>
-        <a href="https://sepolia.etherscan.io/tx/${txHash}" target="_blank">
-          View on Etherscan
-        </a>
+        ⚠️ ${escapeHtml(describeError(err, "Claim failed. See details below."))}<br/>
+        ${explorerLink(txHash)}
       `, "error", true);
     } else {
-      showMessage("Claim failed. Check console for details.", "error");
+      showMessage(describeError(err, "Claim failed. Check console for details."), "error");
     }
   }
 });
 
+const txHistoryList = document.getElementById("txHistory");
+
+const TX_POLL_MS = 4000;
+// Blocks searched for the transaction that took the nonce of a pending one
+const TX_REPLACEMENT_SCAN_BLOCKS = 100;
+const TX_TYPE_LABELS = {
+  approve: "Approve",
+  swap: "Swap",
+  addLiquidity: "Add liquidity",
+  removeLiquidity: "Remove liquidity",
+  claim: "Faucet claim"
+};
+const TX_STATUS_ICONS = {
+  [TxTracker.STATUS.PENDING]: "⏳",
+  [TxTracker.STATUS.CONFIRMED]: "✅",
+  [TxTracker.STATUS.FAILED]: "❌",
+  [TxTracker.STATUS.REPLACED]: "🔁",
+  [TxTracker.STATUS.CANCELLED]: "🚫"
+};
+
+// Storage key of the connected account on the current chain, empty without a wallet
+let txKey = "";
+let txChecking = false;
+
+function readTransactions(key) {
+  try {
+    return TxTracker.loadHistory(localStorage, key);
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeTransactions(key, records) {
+  try {
+    TxTracker.saveHistory(localStorage, key, records);
+  } catch (err) {
+    console.error(err);
+  }
+  if (key === txKey) renderTransactions();
+}
+
+function listItem(text) {
+  const item = document.createElement("li");
+  item.textContent = text;
+  return item;
+}
+
+// Built with text nodes only: the records come from localStorage and hold token symbols.
+function transactionItem(record) {
+  const item = listItem(
+    `${TX_STATUS_ICONS[record.status] || ""} ${TX_TYPE_LABELS[record.type] || record.type} (${record.status}) ` +
+    new Date(record.submittedAt).toLocaleString()
+  );
+  item.append(document.createElement("br"), TxTracker.describeTransaction(record.type, record.details));
+
+  const explorer = CHAINS[currentChainId]?.explorer;
+  if (explorer) {
+    const link = document.createElement("a");
+    link.href = `${explorer}/tx/${encodeURIComponent(record.replacedBy || record.hash)}`;
+    link.target = "_blank";
+    link.textContent = `View on ${CHAINS[currentChainId].explorerName}`;
+    item.append(" ", link);
+  }
+  return item;
+}
+
+function renderTransactions() {
+  if (!txKey) {
+    txHistoryList.replaceChildren(listItem("Connect your wallet to see your transactions."));
+    return;
+  }
+
+  const records = readTransactions(txKey);
+  txHistoryList.replaceChildren(...(records.length
+    ? records.map(transactionItem)
+    : [listItem("No transactions sent from this account yet.")]));
+}
+
+// Shows the history of `account` on the current chain and resumes watching its pending transactions.
+function initTransactions(account) {
+  txKey = account ? TxTracker.storageKey(currentChainId, account) : "";
+  renderTransactions();
+  checkPendingTransactions();
+}
+
+// Records a sent transaction as pending, with the details of what the simulation said it would do.
+async function trackTransaction(tx, type, details) {
+  try {
+    const key = TxTracker.storageKey(tx.chainId, tx.from);
+    const startBlock = await readProvider.getBlockNumber();
+    writeTransactions(key, TxTracker.addTransaction(readTransactions(key), {
+      hash: tx.hash,
+      type,
+      details,
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      data: tx.data,
+      value: tx.value.toString(),
+      startBlock,
+      submittedAt: Date.now()
+    }));
+  } catch (err) {
+    console.error(err);
+  }
+  tx.wait().then(checkPendingTransactions, checkPendingTransactions);
+}
+
+function receiptChanges(receipt) {
+  return {
+    status: receipt.status === 1 ? TxTracker.STATUS.CONFIRMED : TxTracker.STATUS.FAILED,
+    blockNumber: receipt.blockNumber
+  };
+}
+
+// The mined transaction of `record.from` with `record.nonce`, searched back from the latest block.
+async function findReplacement(record) {
+  const latest = await readProvider.getBlockNumber();
+  const oldest = Math.max(record.startBlock, latest - TX_REPLACEMENT_SCAN_BLOCKS + 1);
+
+  for (let blockNumber = latest; blockNumber >= oldest; blockNumber--) {
+    const block = await readProvider.getBlockWithTransactions(blockNumber);
+    const replacement = block.transactions.find(tx =>
+      tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce
+    );
+    if (replacement) return replacement;
+  }
+  return null;
+}
+
+// Changes to apply to a pending record, or null while it is still pending.
+async function checkTransaction(record) {
+  const receipt = await readProvider.getTransactionReceipt(record.hash);
+  if (receipt) return receiptChanges(receipt);
+
+  // The nonce is still free: not mined yet
+  const nonce = await readProvider.getTransactionCount(record.from, "latest");
+  if (nonce <= record.nonce) return null;
+
+  const replacement = await findReplacement(record);
+  if (!replacement) return { status: TxTracker.STATUS.REPLACED };
+  // Mined since the receipt was read
+  if (replacement.hash === record.hash) return null;
+
+  const kind = TxTracker.classifyReplacement(record, {
+    to: replacement.to,
+    data: replacement.data,
+    value: replacement.value.toString()
+  });
+  if (kind === "repriced") {
+    const replacementReceipt = await readProvider.getTransactionReceipt(replacement.hash);
+    if (!replacementReceipt) return null;
+    return { ...receiptChanges(replacementReceipt), replacedBy: replacement.hash };
+  }
+  return {
+    status: kind === "cancelled" ? TxTracker.STATUS.CANCELLED : TxTracker.STATUS.REPLACED,
+    blockNumber: replacement.blockNumber,
+    replacedBy: replacement.hash
+  };
+}
+
+async function checkPendingTransactions() {
+  if (!txKey || txChecking) return;
+
+  const key = txKey;
+  txChecking = true;
+  try {
+    for (const record of TxTracker.pendingTransactions(readTransactions(key))) {
+      const changes = await checkTransaction(record);
+      // The wallet switched account or network meanwhile
+      if (key !== txKey) return;
+      if (changes) {
+        writeTransactions(key, TxTracker.updateTransaction(readTransactions(key), record.hash, changes));
+      }
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    txChecking = false;
+  }
+}
+
+setInterval(checkPendingTransactions, TX_POLL_MS);
 
+initTransactions("");
 
+initReadOnly(DEFAULT_CHAIN_ID);
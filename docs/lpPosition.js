@@ -0,0 +1,120 @@
+// Value of a SimpleSwap liquidity position: underlying tokens, pool share, value at deposit time,
+// impermanent loss against holding the deposited tokens and swap fees earned. The deposit side comes
+// from the account's own liquidity events, the current side from the pool reserves and LQP supply.
+// Amounts are BigInt and values are in token B.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./poolEvents"));
+  } else {
+    root.LpPosition = factory(root.PoolEvents);
+  }
+})(typeof self !== "undefined" ? self : this, function (PoolEvents) {
+  const { sortEvents } = PoolEvents;
+
+  const BPS = 10000n;
+
+  function sqrt(value) {
+    if (value < 2n) return value;
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  // Tokens redeemed by `liquidity` LQP, as in `removeLiquidity`.
+  function underlyingAmounts(liquidity, totalSupply, reserveA, reserveB) {
+    if (totalSupply === 0n) return { amountA: 0n, amountB: 0n };
+    return {
+      amountA: (liquidity * reserveA) / totalSupply,
+      amountB: (liquidity * reserveB) / totalSupply
+    };
+  }
+
+  function shareBps(liquidity, totalSupply) {
+    return totalSupply === 0n ? 0 : Number((liquidity * BPS) / totalSupply);
+  }
+
+  // What the current `balance` of LQP cost, from the account LiquidityAdded and LiquidityRemoved events
+  // ({ type: "add" | "remove", blockNumber, logIndex, amountA, amountB, liquidity }). A removal takes
+  // its share of every deposit. When the events do not add up to the balance (LQP transfers, events
+  // not loaded) the basis is scaled to it. Null without deposits.
+  //
+  // Deposits are made at the pool price, so each one is worth twice its token B amount, and its
+  // sqrt(amountA * amountB) is the pool invariant it brought: fees grow the invariant of the position.
+  function depositBasis(events, balance) {
+    let liquidity = 0n;
+    let amountA = 0n;
+    let amountB = 0n;
+    let value = 0n;
+    let invariant = 0n;
+
+    sortEvents(events).forEach(event => {
+      if (event.type === "add") {
+        liquidity += event.liquidity;
+        amountA += event.amountA;
+        amountB += event.amountB;
+        value += 2n * event.amountB;
+        invariant += sqrt(event.amountA * event.amountB);
+      } else if (event.liquidity >= liquidity) {
+        liquidity = amountA = amountB = value = invariant = 0n;
+      } else {
+        const remaining = liquidity - event.liquidity;
+        amountA = (amountA * remaining) / liquidity;
+        amountB = (amountB * remaining) / liquidity;
+        value = (value * remaining) / liquidity;
+        invariant = (invariant * remaining) / liquidity;
+        liquidity = remaining;
+      }
+    });
+
+    if (liquidity === 0n || balance === 0n) return null;
+
+    return {
+      amountA: (amountA * balance) / liquidity,
+      amountB: (amountB * balance) / liquidity,
+      value: (value * balance) / liquidity,
+      invariant: (invariant * balance) / liquidity,
+      scaled: liquidity !== balance
+    };
+  }
+
+  // Current value of `liquidity` LQP against its deposit basis. Fees earned are the part of the value
+  // that comes from the growth of the position invariant, the impermanent loss compares the rest with
+  // holding the deposited tokens.
+  function positionReport(liquidity, totalSupply, reserveA, reserveB, basis) {
+    const { amountA, amountB } = underlyingAmounts(liquidity, totalSupply, reserveA, reserveB);
+    const report = {
+      amountA,
+      amountB,
+      shareBps: shareBps(liquidity, totalSupply),
+      value: reserveA === 0n ? amountB : amountB + (amountA * reserveB) / reserveA
+    };
+    if (!basis || reserveA === 0n) return report;
+
+    const currentInvariant = sqrt(amountA * amountB);
+    const fees = currentInvariant > basis.invariant
+      ? (report.value * (currentInvariant - basis.invariant)) / currentInvariant
+      : 0n;
+    const holdValue = basis.amountB + (basis.amountA * reserveB) / reserveA;
+
+    return {
+      ...report,
+      depositValue: basis.value,
+      holdValue,
+      fees,
+      profit: report.value - basis.value,
+      impermanentLossBps: holdValue === 0n ? 0 : Number(((report.value - fees) * BPS) / holdValue - BPS)
+    };
+  }
+
+  return {
+    sqrt,
+    underlyingAmounts,
+    shareBps,
+    depositBasis,
+    positionReport
+  };
+});
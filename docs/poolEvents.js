@@ -0,0 +1,24 @@
+// Chain order of SimpleSwap pool events, shared by PriceHistory and LpPosition, which replay them
+// oldest first. Loaded before them as the `PoolEvents` global, or with `require` by Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PoolEvents = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Sort comparator of anything located in the chain by `blockNumber` and `logIndex`, oldest first.
+  function compareEvents(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+  }
+
+  // Copy of `events` in chain order, leaving the loaded list untouched.
+  function sortEvents(events) {
+    return events.slice().sort(compareEvents);
+  }
+
+  return {
+    compareEvents,
+    sortEvents
+  };
+});
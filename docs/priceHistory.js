@@ -0,0 +1,182 @@
+// Price chart data of a SimpleSwap pool: the reserves after each TokensSwapped, LiquidityAdded,
+// LiquidityRemoved and FlashSwapped event, replayed back from the current reserves, the OHLC candles
+// of the price of token A and the cache of loaded events kept between visits. Amounts are BigInt.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./poolEvents"));
+  } else {
+    root.PriceHistory = factory(root.PoolEvents);
+  }
+})(typeof self !== "undefined" ? self : this, function (PoolEvents) {
+  const { compareEvents, sortEvents } = PoolEvents;
+
+  const PRICE_DECIMALS = 18n;
+  const PRICE_SCALE = 10n ** PRICE_DECIMALS;
+
+  // Selectable chart ranges: seconds shown and seconds per candle.
+  const RANGES = {
+    "1h": { duration: 60 * 60, interval: 60 },
+    "24h": { duration: 24 * 60 * 60, interval: 30 * 60 },
+    "7d": { duration: 7 * 24 * 60 * 60, interval: 4 * 60 * 60 },
+    "30d": { duration: 30 * 24 * 60 * 60, interval: 24 * 60 * 60 }
+  };
+
+  // Change of [reserveA, reserveB] made by an event.
+  // Events are { type: "swap", aToB, amountIn, amountOut }, { type: "add" | "remove", amountA, amountB }
+  // or { type: "flash", amountAOut, amountBOut, amountAIn, amountBIn }.
+  function reserveDelta(event) {
+    switch (event.type) {
+      case "swap":
+        return event.aToB
+          ? [event.amountIn, -event.amountOut]
+          : [-event.amountOut, event.amountIn];
+      case "add":
+        return [event.amountA, event.amountB];
+      case "remove":
+        return [-event.amountA, -event.amountB];
+      case "flash":
+        return [event.amountAIn - event.amountAOut, event.amountBIn - event.amountBOut];
+      default:
+        throw new Error(`Unknown event type ${event.type}`);
+    }
+  }
+
+  // Reserves right after every event, oldest first. The history is replayed backwards from the current
+  // reserves, so only the events since the oldest one are needed and the latest point is always exact.
+  // Reserve changes without these events (sync, skim) shift the points before them.
+  // With `start` ({ blockNumber, timestamp } where the events begin) the reserves before the first
+  // event are added as the first point.
+  function buildReserveHistory(events, reserveA, reserveB, start) {
+    const sorted = sortEvents(events);
+    const points = new Array(sorted.length);
+
+    let currentA = reserveA;
+    let currentB = reserveB;
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const event = sorted[i];
+      points[i] = {
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp,
+        reserveA: currentA,
+        reserveB: currentB
+      };
+
+      const [deltaA, deltaB] = reserveDelta(event);
+      currentA -= deltaA;
+      currentB -= deltaB;
+    }
+
+    if (start) {
+      points.unshift({
+        blockNumber: start.blockNumber,
+        logIndex: -1,
+        timestamp: start.timestamp,
+        reserveA: currentA,
+        reserveB: currentB
+      });
+    }
+
+    return points;
+  }
+
+  // Price of token A in token B, as a number. Null for an empty pool.
+  function priceOf(reserveA, reserveB) {
+    if (reserveA === 0n || reserveB === 0n) return null;
+    return Number((reserveB * PRICE_SCALE) / reserveA) / Number(PRICE_SCALE);
+  }
+
+  // OHLC candles of the price of token A in token B between `from` and `to` (unix seconds).
+  // Empty candles repeat the last close, candles before the first known price are left out.
+  function buildCandles(points, from, to, interval) {
+    const sorted = sortEvents(points);
+    const candles = [];
+
+    let last = null;
+    let index = 0;
+    // Price at the start of the range
+    while (index < sorted.length && sorted[index].timestamp < from) {
+      last = priceOf(sorted[index].reserveA, sorted[index].reserveB);
+      index++;
+    }
+
+    for (let start = from; start < to; start += interval) {
+      let candle = last === null ? null : { time: start, open: last, high: last, low: last, close: last };
+
+      while (index < sorted.length && sorted[index].timestamp < start + interval) {
+        const price = priceOf(sorted[index].reserveA, sorted[index].reserveB);
+        index++;
+        if (price === null) continue;
+
+        if (candle === null) {
+          candle = { time: start, open: price, high: price, low: price, close: price };
+        } else {
+          candle.high = Math.max(candle.high, price);
+          candle.low = Math.min(candle.low, price);
+          candle.close = price;
+        }
+        last = price;
+      }
+
+      if (candle !== null) candles.push(candle);
+    }
+
+    return candles;
+  }
+
+  function eventKey(event) {
+    return `${event.blockNumber}-${event.logIndex}`;
+  }
+
+  // Union of two event lists, oldest first and without duplicates.
+  function mergeEvents(events, newEvents) {
+    const byKey = new Map();
+    events.concat(newEvents).forEach(event => byKey.set(eventKey(event), event));
+    return Array.from(byKey.values()).sort(compareEvents);
+  }
+
+  const AMOUNT_FIELDS = ["amountIn", "amountOut", "amountA", "amountB", "amountAOut", "amountBOut", "amountAIn", "amountBIn"];
+
+  // JSON text of a cache entry: BigInt amounts are stored as decimal strings.
+  function serializeCache(cache) {
+    return JSON.stringify({
+      ...cache,
+      events: cache.events.map(event => {
+        const copy = { ...event };
+        AMOUNT_FIELDS.forEach(field => {
+          if (field in copy) copy[field] = copy[field].toString();
+        });
+        return copy;
+      })
+    });
+  }
+
+  function deserializeCache(text) {
+    const cache = JSON.parse(text);
+    cache.events = cache.events.map(event => {
+      AMOUNT_FIELDS.forEach(field => {
+        if (field in event) event[field] = BigInt(event[field]);
+      });
+      return event;
+    });
+    return cache;
+  }
+
+  // A cache entry covers the blocks fromBlock..toBlock. It is stale when that chain no longer exists,
+  // e.g. a restarted local node: toBlock is ahead of the chain or has a different hash.
+  function isCacheValid(cache, latestBlock, toBlockHash) {
+    return Boolean(cache) && cache.toBlock <= latestBlock && cache.toBlockHash === toBlockHash;
+  }
+
+  return {
+    RANGES,
+    reserveDelta,
+    buildReserveHistory,
+    priceOf,
+    buildCandles,
+    mergeEvents,
+    serializeCache,
+    deserializeCache,
+    isCacheValid
+  };
+});
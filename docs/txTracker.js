@@ -0,0 +1,104 @@
+// History of the transactions sent from the DApp, kept per chain and account in a Web Storage
+// (`localStorage`) so pending transactions are watched again after a reload. The storage is passed
+// in, and a pending transaction that never gets a receipt is resolved from the one that took its nonce.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TxTracker = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const STORAGE_PREFIX = "simpleSwap.transactions";
+  // Oldest records are dropped beyond this length
+  const MAX_HISTORY = 50;
+
+  const STATUS = {
+    PENDING: "pending",
+    CONFIRMED: "confirmed",
+    FAILED: "failed",
+    REPLACED: "replaced",
+    CANCELLED: "cancelled"
+  };
+
+  function storageKey(chainId, account) {
+    return `${STORAGE_PREFIX}.${chainId}.${account.toLowerCase()}`;
+  }
+
+  // Records of `key`, newest first. Unreadable entries count as an empty history.
+  function loadHistory(storage, key) {
+    try {
+      const records = JSON.parse(storage.getItem(key));
+      return Array.isArray(records) ? records : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveHistory(storage, key, records) {
+    storage.setItem(key, JSON.stringify(records.slice(0, MAX_HISTORY)));
+  }
+
+  // Adds a sent transaction as pending. A record with the same hash is replaced.
+  function addTransaction(records, record) {
+    return [{ ...record, status: STATUS.PENDING }]
+      .concat(records.filter(existing => existing.hash !== record.hash))
+      .slice(0, MAX_HISTORY);
+  }
+
+  function updateTransaction(records, hash, changes) {
+    return records.map(record => (record.hash === hash ? { ...record, ...changes } : record));
+  }
+
+  // Text of what a transaction does, from the `details` recorded with it: decimal amounts and token
+  // symbols as plain strings. Records are kept as data and described when shown, so a symbol chosen
+  // by a token deployer is never stored as markup.
+  function describeTransaction(type, details) {
+    if (!details) return "";
+
+    switch (type) {
+      case "approve":
+        return `Approve ${details.symbol} for the pool.`;
+      case "swap":
+        return `${details.amountIn} ${details.symbolIn} → ${details.amountOut} ${details.symbolOut}.`;
+      case "addLiquidity":
+        return `Deposit ${details.amountA} ${details.symbolA} + ${details.amountB} ${details.symbolB} for ${details.liquidity} LQP.`;
+      case "removeLiquidity":
+        return `Remove ${details.liquidity} LQP for ${details.amountA} ${details.symbolA} + ${details.amountB} ${details.symbolB}.`;
+      case "claim":
+        return `Claim ${details.amountA} ${details.symbolA} + ${details.amountB} ${details.symbolB}.`;
+      default:
+        return "";
+    }
+  }
+
+  function pendingTransactions(records) {
+    return records.filter(record => record.status === STATUS.PENDING);
+  }
+
+  // How `replacement`, mined with the nonce of `record`, replaced it: the same call with another gas
+  // price ("repriced"), an empty transfer to the sender ("cancelled") or any other transaction ("replaced").
+  function classifyReplacement(record, replacement) {
+    const sameCall = (replacement.to || "").toLowerCase() === (record.to || "").toLowerCase() &&
+      replacement.data === record.data &&
+      BigInt(replacement.value) === BigInt(record.value);
+    if (sameCall) return "repriced";
+
+    const isCancel = (replacement.to || "").toLowerCase() === record.from.toLowerCase() &&
+      replacement.data === "0x" &&
+      BigInt(replacement.value) === 0n;
+    return isCancel ? "cancelled" : "replaced";
+  }
+
+  return {
+    STATUS,
+    MAX_HISTORY,
+    storageKey,
+    loadHistory,
+    saveHistory,
+    addTransaction,
+    updateTransaction,
+    pendingTransactions,
+    describeTransaction,
+    classifyReplacement
+  };
+});
@@ -0,0 +1,18 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+
+// The faucet mints by owning the tokens: transfer the ownership of both tokens to it after deploying.
+// ERC20Mock minting is open, so on local networks it works without the ownership.
+const FaucetModule = buildModule("FaucetModule", (deployer) => {
+  const { tokenA, tokenB } = deployer.useModule(TokensModule);
+  const owner = deployer.getParameter("owner", deployer.getAccount(0));
+  const amountA = deployer.getParameter("amountA", 100n * 10n ** 18n);
+  const amountB = deployer.getParameter("amountB", 100n * 10n ** 18n);
+  const cooldown = deployer.getParameter("cooldown", 24n * 60n * 60n);
+
+  const faucet = deployer.contract("Faucet", [tokenA, tokenB, owner, amountA, amountB, cooldown]);
+
+  return { faucet };
+});
+
+module.exports = FaucetModule;
@@ -0,0 +1,24 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+// Initial liquidity of the pool, deposited by the deployer, who must hold the seed amounts.
+const SeedLiquidityModule = buildModule("SeedLiquidityModule", (deployer) => {
+  const owner = deployer.getAccount(0);
+  const { simpleSwap, tokenA, tokenB } = deployer.useModule(SimpleSwapModule);
+
+  const seedAmountA = deployer.getParameter("seedAmountA");
+  const seedAmountB = deployer.getParameter("seedAmountB");
+
+  const approveA = deployer.call(tokenA, "approve", [simpleSwap, seedAmountA], { id: "ApproveTokenA" });
+  const approveB = deployer.call(tokenB, "approve", [simpleSwap, seedAmountB], { id: "ApproveTokenB" });
+  deployer.call(
+    simpleSwap,
+    "addLiquidity",
+    [tokenA, tokenB, seedAmountA, seedAmountB, 0, 0, owner, 2n ** 256n - 1n],
+    { id: "SeedLiquidity", after: [approveA, approveB] }
+  );
+
+  return { simpleSwap };
+});
+
+module.exports = SeedLiquidityModule;
@@ -1,9 +1,18 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+const SimpleSwapFactoryModule = require("./SimpleSwapFactory");
 
+// Pool of Token A and Token B, created through the factory so the router (and its permit functions)
+// can find it.
 const SimpleSwapModule = buildModule("SimpleSwapModule", (deployer) => {
-  const simpleSwap = deployer.contract("SimpleSwap", ['0x2d2B2C2af6f4F87E722E064dcD9fDd3F94ce7597','0xe7318ea312EE8b8faAD947136f4C1b0d75484667']);
+  const { tokenA, tokenB } = deployer.useModule(TokensModule);
+  const { simpleSwapFactory, simpleSwapRouter } = deployer.useModule(SimpleSwapFactoryModule);
 
-  return { simpleSwap };
+  const createPool = deployer.call(simpleSwapFactory, "createPool", [tokenA, tokenB]);
+  const poolAddress = deployer.readEventArgument(createPool, "PoolCreated", "pool");
+  const simpleSwap = deployer.contractAt("SimpleSwap", poolAddress, { id: "SimpleSwap" });
+
+  return { simpleSwap, simpleSwapFactory, simpleSwapRouter, tokenA, tokenB };
 });
 
-module.exports = SimpleSwapModule;
\ No newline at end of file
+module.exports = SimpleSwapModule;
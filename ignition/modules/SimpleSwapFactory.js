@@ -0,0 +1,10 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const SimpleSwapFactoryModule = buildModule("SimpleSwapFactoryModule", (deployer) => {
+  const simpleSwapFactory = deployer.contract("SimpleSwapFactory");
+  const simpleSwapRouter = deployer.contract("SimpleSwapRouter", [simpleSwapFactory]);
+
+  return { simpleSwapFactory, simpleSwapRouter };
+});
+
+module.exports = SimpleSwapFactoryModule;
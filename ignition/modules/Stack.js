@@ -0,0 +1,20 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { usesMockTokens } = require("../networks");
+const SimpleSwapModule = require("./SimpleSwap");
+const FaucetModule = require("./Faucet");
+const SeedLiquidityModule = require("./SeedLiquidity");
+
+// Factory, router, pool and faucet of Token A and Token B, on any network. Local networks get mock
+// tokens and a pool seeded with them; elsewhere the tokens are the `tokenA`/`tokenB` parameters and the
+// pool is seeded separately with SeedLiquidityModule, once the deployer holds the tokens.
+const StackModule = buildModule("StackModule", (deployer) => {
+  const { simpleSwap, simpleSwapFactory, simpleSwapRouter, tokenA, tokenB } = deployer.useModule(SimpleSwapModule);
+  const { faucet } = deployer.useModule(FaucetModule);
+  if (usesMockTokens()) {
+    deployer.useModule(SeedLiquidityModule);
+  }
+
+  return { tokenA, tokenB, simpleSwap, simpleSwapFactory, simpleSwapRouter, faucet };
+});
+
+module.exports = StackModule;
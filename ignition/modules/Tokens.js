@@ -0,0 +1,25 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { usesMockTokens } = require("../networks");
+
+const ERC20_ARTIFACT = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+// Token A and Token B of the pool. On local networks two ERC20Mock with the whole supply minted
+// to the deployer; elsewhere the existing tokens at the `tokenA` and `tokenB` parameters.
+const TokensModule = buildModule("TokensModule", (deployer) => {
+  if (!usesMockTokens()) {
+    const tokenA = deployer.contractAt(ERC20_ARTIFACT, deployer.getParameter("tokenA"), { id: "TokenA" });
+    const tokenB = deployer.contractAt(ERC20_ARTIFACT, deployer.getParameter("tokenB"), { id: "TokenB" });
+
+    return { tokenA, tokenB };
+  }
+
+  const owner = deployer.getAccount(0);
+  const initialSupply = deployer.getParameter("initialSupply", 1_000_000n * 10n ** 18n);
+
+  const tokenA = deployer.contract("ERC20Mock", ["TokenA", "TKA", owner, initialSupply], { id: "TokenA" });
+  const tokenB = deployer.contract("ERC20Mock", ["TokenB", "TKB", owner, initialSupply], { id: "TokenB" });
+
+  return { tokenA, tokenB };
+});
+
+module.exports = TokensModule;
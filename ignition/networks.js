@@ -0,0 +1,11 @@
+const { network } = require("hardhat");
+
+// Networks without Token A and Token B deployed. The modules deploy mintable mocks there, with the
+// whole supply minted to the deployer, and seed the pool from that supply.
+const MOCK_TOKEN_NETWORKS = ["hardhat", "localhost"];
+
+function usesMockTokens() {
+  return MOCK_TOKEN_NETWORKS.includes(network.name);
+}
+
+module.exports = { usesMockTokens };
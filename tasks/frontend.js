@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+// ABIs used by the frontend, by the name it reads them with
+const FRONTEND_ABIS = {
+  SimpleSwap: "SimpleSwap",
+  SimpleSwapFactory: "SimpleSwapFactory",
+  SimpleSwapRouter: "SimpleSwapRouter",
+  Faucet: "Faucet",
+  ERC20: "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata"
+};
+// Contracts deployed outside Ignition, by chain id
+const EXTERNAL_ADDRESSES_FILE = "external-addresses.json";
+
+// Lists the contracts of an Ignition deployment built from other sources than the current artifacts,
+// comparing the creation bytecode sent in the journal with the artifact of the same contract.
+async function findStaleFutures(artifacts, deploymentPath) {
+  const contractNames = {};
+  const creationCodes = {};
+  const journal = fs.readFileSync(path.join(deploymentPath, "journal.jsonl"), "utf8");
+  for (const line of journal.split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && entry.futureType === "NAMED_ARTIFACT_CONTRACT_DEPLOYMENT") {
+      contractNames[entry.futureId] = entry.contractName;
+    } else if (entry.type === "NETWORK_INTERACTION_REQUEST" && !(entry.futureId in creationCodes)) {
+      creationCodes[entry.futureId] = entry.networkInteraction.data;
+    }
+  }
+
+  const stale = [];
+  for (const [futureId, contractName] of Object.entries(contractNames)) {
+    const { bytecode } = await artifacts.readArtifact(contractName);
+    if (!creationCodes[futureId] || !creationCodes[futureId].startsWith(bytecode)) {
+      stale.push(futureId);
+    }
+  }
+  return stale;
+}
+
+// Collects the addresses of every Ignition deployment, keyed by chain id and contract future name.
+// Futures of different modules with the same name (e.g. TokensModule#TokenA deployed as a mock or
+// referenced with contractAt) resolve to the same key. Deployments of outdated contracts are kept with a
+// warning: the DApp detects the functions they lack and leaves those features out.
+async function readDeployedAddresses(artifacts, ignitionPath) {
+  const chains = {};
+  const externalFile = path.join(ignitionPath, EXTERNAL_ADDRESSES_FILE);
+  if (fs.existsSync(externalFile)) {
+    const external = JSON.parse(fs.readFileSync(externalFile, "utf8"));
+    for (const [chainId, addresses] of Object.entries(external)) {
+      chains[chainId] = { ...addresses };
+    }
+  }
+
+  const deploymentsPath = path.join(ignitionPath, "deployments");
+  if (!fs.existsSync(deploymentsPath)) return chains;
+
+  for (const dir of fs.readdirSync(deploymentsPath)) {
+    const match = dir.match(/^chain-(\d+)$/);
+    const file = path.join(deploymentsPath, dir, "deployed_addresses.json");
+    if (!match || !fs.existsSync(file)) continue;
+
+    const chainId = match[1];
+    const deployed = JSON.parse(fs.readFileSync(file, "utf8"));
+    const stale = await findStaleFutures(artifacts, path.join(deploymentsPath, dir));
+    for (const futureId of stale) {
+      console.warn(`${futureId} on chain ${chainId} was deployed from outdated sources, redeploy it for every DApp feature`);
+    }
+    chains[chainId] = chains[chainId] || {};
+    for (const [futureId, address] of Object.entries(deployed)) {
+      chains[chainId][futureId.split("#")[1]] = address;
+    }
+  }
+
+  return chains;
+}
+
+task("frontend:export", "Writes the ABIs and deployed addresses used by the frontend")
+  .addOptionalParam("out", "Output file", "docs/contracts.json")
+  .setAction(async ({ out }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const abis = {};
+    for (const [name, artifact] of Object.entries(FRONTEND_ABIS)) {
+      abis[name] = (await hre.artifacts.readArtifact(artifact)).abi;
+    }
+    const chains = await readDeployedAddresses(hre.artifacts, hre.config.paths.ignition);
+
+    const file = path.resolve(hre.config.paths.root, out);
+    fs.writeFileSync(file, JSON.stringify({ chains, abis }, null, 2) + "\n");
+    console.log(`Wrote ${path.relative(hre.config.paths.root, file)} for chains ${Object.keys(chains).join(", ") || "none"}`);
+  });
@@ -0,0 +1,290 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const ERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+// Ignition futures that deploy a SimpleSwap pool, in order of preference
+const POOL_FUTURE_IDS = ["SimpleSwapModule#SimpleSwap"];
+const MAX_SLIPPAGE_BPS = 5000; // 50%
+
+function fail(message) {
+  throw new HardhatPluginError("pool", message);
+}
+
+// Reads the pool address from the Ignition deployment of the active network, unless one is given.
+async function resolvePoolAddress(hre, poolAddress) {
+  if (poolAddress) return poolAddress;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    fail(`No Ignition deployment found for chain ${chainId}, pass --pool`);
+  }
+
+  const addresses = JSON.parse(fs.readFileSync(file, "utf8"));
+  const id = POOL_FUTURE_IDS.find(futureId => addresses[futureId]);
+  if (!id) {
+    fail(`No SimpleSwap pool in ${file}, pass --pool`);
+  }
+  return addresses[id];
+}
+
+// Loads the pool and the metadata of its tokens.
+async function loadPool(hre, poolAddress) {
+  const address = await resolvePoolAddress(hre, poolAddress);
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    fail(`No contract at ${address} on this network`);
+  }
+  const pool = await hre.ethers.getContractAt("SimpleSwap", address);
+
+  const loadToken = async (address) => {
+    const contract = await hre.ethers.getContractAt(ERC20_METADATA, address);
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+    return { address, contract, symbol, decimals: Number(decimals) };
+  };
+
+  const [tokenA, tokenB] = await Promise.all([loadToken(await pool.token_A()), loadToken(await pool.token_B())]);
+  return { pool, tokenA, tokenB };
+}
+
+// Accepts "A", "B", a token symbol or a token address and returns [tokenIn, tokenOut].
+function resolveDirection({ tokenA, tokenB }, tokenIn) {
+  const value = tokenIn.toLowerCase();
+  if (["a", tokenA.symbol.toLowerCase(), tokenA.address.toLowerCase()].includes(value)) return [tokenA, tokenB];
+  if (["b", tokenB.symbol.toLowerCase(), tokenB.address.toLowerCase()].includes(value)) return [tokenB, tokenA];
+  fail(`Unknown token ${tokenIn}, use A, B, a symbol or an address of the pool tokens`);
+}
+
+function format(hre, amount, token) {
+  return `${hre.ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+}
+
+function checkSlippage(slippage) {
+  if (!Number.isInteger(slippage) || slippage < 0 || slippage > MAX_SLIPPAGE_BPS) {
+    fail(`Invalid slippage ${slippage}, must be between 0 and ${MAX_SLIPPAGE_BPS} bps`);
+  }
+}
+
+function applySlippage(amount, slippage) {
+  return (amount * BigInt(10000 - slippage)) / 10000n;
+}
+
+function applySlippageMax(amount, slippage) {
+  return (amount * BigInt(10000 + slippage)) / 10000n;
+}
+
+async function getDeadline(hre, minutes) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  return block.timestamp + minutes * 60;
+}
+
+async function getReserves(pool, tokenIn, tokenA) {
+  const [reserveA, reserveB] = await Promise.all([pool.reserve_A(), pool.reserve_B()]);
+  return tokenIn.address === tokenA.address ? [reserveA, reserveB] : [reserveB, reserveA];
+}
+
+// Approves `spender` for `amount` of `token` if the current allowance is lower.
+async function ensureAllowance(token, owner, spender, amount) {
+  const allowance = await token.contract.allowance(owner.address, spender);
+  if (allowance >= amount) return;
+
+  console.log(`Approving ${token.symbol}...`);
+  await (await token.contract.connect(owner).approve(spender, amount)).wait();
+}
+
+// Quotes a swap in either mode, with the fee and the price impact against the spot price.
+async function quoteSwap(loaded, tokenIn, tokenOut, amount, exactOut) {
+  const { pool, tokenA } = loaded;
+  const [reserveIn, reserveOut] = await getReserves(pool, tokenIn, tokenA);
+  const amountIn = exactOut ? await pool.getAmountIn(amount, reserveIn, reserveOut) : amount;
+  const amountOut = exactOut ? amount : await pool.getAmountOut(amount, reserveIn, reserveOut);
+  const [, fee] = await pool.getQuote(amountIn, tokenIn.address, tokenOut.address);
+
+  // Output without fee and price movement at the spot price, in bps lost
+  const spotOut = (amountIn * reserveOut) / reserveIn;
+  const priceImpactBps = spotOut === 0n ? 0n : ((spotOut - amountOut) * 10000n) / spotOut;
+
+  return { amountIn, amountOut, fee, priceImpactBps };
+}
+
+function addPoolParams(definition) {
+  return definition.addOptionalParam("pool", "SimpleSwap pool address (defaults to the Ignition deployment)");
+}
+
+function addTxParams(definition) {
+  return addPoolParams(definition)
+    .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int)
+    .addOptionalParam("deadline", "Minutes until the transaction expires", 10, types.int);
+}
+
+addPoolParams(task("pool:info", "Prints the pool reserves, LQP supply and prices"))
+  .setAction(async ({ pool: poolAddress }, hre) => {
+    const { pool, tokenA, tokenB } = await loadPool(hre, poolAddress);
+    const [signer] = await hre.ethers.getSigners();
+    const [reserveA, reserveB, totalSupply, balance] = await Promise.all([
+      pool.reserve_A(),
+      pool.reserve_B(),
+      pool.totalSupply(),
+      pool.balanceOf(signer.address)
+    ]);
+
+    console.log(`Pool:       ${pool.target}`);
+    console.log(`Token A:    ${tokenA.symbol} (${tokenA.address})`);
+    console.log(`Token B:    ${tokenB.symbol} (${tokenB.address})`);
+    console.log(`Reserves:   ${format(hre, reserveA, tokenA)} / ${format(hre, reserveB, tokenB)}`);
+    console.log(`LQP supply: ${hre.ethers.formatUnits(totalSupply, 18)} LQP`);
+    console.log(`Your LQP:   ${hre.ethers.formatUnits(balance, 18)} LQP (${signer.address})`);
+
+    if (reserveA > 0n && reserveB > 0n) {
+      const [priceA, priceB] = await Promise.all([
+        pool.getPrice(tokenA.address, tokenB.address),
+        pool.getPrice(tokenB.address, tokenA.address)
+      ]);
+      console.log(`Price:      1 ${tokenA.symbol} = ${hre.ethers.formatUnits(priceA, 18)} ${tokenB.symbol}`);
+      console.log(`            1 ${tokenB.symbol} = ${hre.ethers.formatUnits(priceB, 18)} ${tokenA.symbol}`);
+    }
+  });
+
+addPoolParams(task("pool:quote", "Quotes a swap without sending it"))
+  .addParam("amount", "Amount of the input token, or of the output token with --exact-out")
+  .addParam("tokenIn", "Input token: A, B, its symbol or its address")
+  .addFlag("exactOut", "Quote an exact output amount instead of an exact input")
+  .setAction(async ({ pool: poolAddress, amount, tokenIn: tokenInArg, exactOut }, hre) => {
+    const loaded = await loadPool(hre, poolAddress);
+    const [tokenIn, tokenOut] = resolveDirection(loaded, tokenInArg);
+    const parsed = hre.ethers.parseUnits(amount, exactOut ? tokenOut.decimals : tokenIn.decimals);
+
+    const quote = await quoteSwap(loaded, tokenIn, tokenOut, parsed, exactOut);
+
+    console.log(`In:           ${format(hre, quote.amountIn, tokenIn)}`);
+    console.log(`Out:          ${format(hre, quote.amountOut, tokenOut)}`);
+    console.log(`Fee:          ${format(hre, quote.fee, tokenIn)}`);
+    console.log(`Price impact: ${(Number(quote.priceImpactBps) / 100).toFixed(2)}%`);
+  });
+
+addTxParams(task("pool:swap", "Swaps tokens, approving the input token if needed"))
+  .addParam("amount", "Amount of the input token, or of the output token with --exact-out")
+  .addParam("tokenIn", "Input token: A, B, its symbol or its address")
+  .addFlag("exactOut", "Buy an exact output amount instead of selling an exact input")
+  .addOptionalParam("to", "Recipient of the output tokens (defaults to the signer)")
+  .setAction(async ({ pool: poolAddress, amount, tokenIn: tokenInArg, exactOut, to, slippage, deadline }, hre) => {
+    checkSlippage(slippage);
+    const loaded = await loadPool(hre, poolAddress);
+    const { pool } = loaded;
+    const [signer] = await hre.ethers.getSigners();
+    const [tokenIn, tokenOut] = resolveDirection(loaded, tokenInArg);
+    const parsed = hre.ethers.parseUnits(amount, exactOut ? tokenOut.decimals : tokenIn.decimals);
+    const recipient = to || signer.address;
+
+    const quote = await quoteSwap(loaded, tokenIn, tokenOut, parsed, exactOut);
+    const amountInMax = applySlippageMax(quote.amountIn, slippage);
+    await ensureAllowance(tokenIn, signer, pool.target, exactOut ? amountInMax : quote.amountIn);
+
+    const path = [tokenIn.address, tokenOut.address];
+    const expiry = await getDeadline(hre, deadline);
+    const tx = exactOut
+      ? await pool.connect(signer).swapTokensForExactTokens(quote.amountOut, amountInMax, path, recipient, expiry)
+      : await pool.connect(signer).swapExactTokensForTokens(
+          quote.amountIn,
+          applySlippage(quote.amountOut, slippage),
+          path,
+          recipient,
+          expiry
+        );
+    const receipt = await tx.wait();
+    const event = receipt.logs.map(log => pool.interface.parseLog(log)).find(log => log?.name === "TokensSwapped");
+
+    console.log(`Swapped ${format(hre, event.args.amountIn, tokenIn)} for ${format(hre, event.args.amountOut, tokenOut)}`);
+    console.log(`Transaction: ${tx.hash}`);
+  });
+
+addTxParams(task("pool:add-liquidity", "Adds liquidity, approving both tokens if needed"))
+  .addParam("amountA", "Desired amount of token A")
+  .addParam("amountB", "Desired amount of token B")
+  .addOptionalParam("to", "Recipient of the LQP tokens (defaults to the signer)")
+  .setAction(async ({ pool: poolAddress, amountA, amountB, to, slippage, deadline }, hre) => {
+    checkSlippage(slippage);
+    const { pool, tokenA, tokenB } = await loadPool(hre, poolAddress);
+    const [signer] = await hre.ethers.getSigners();
+    const desiredA = hre.ethers.parseUnits(amountA, tokenA.decimals);
+    const desiredB = hre.ethers.parseUnits(amountB, tokenB.decimals);
+
+    // Same ratio the contract applies in `_calculateOptimalAmounts`
+    const [reserveA, reserveB] = await Promise.all([pool.reserve_A(), pool.reserve_B()]);
+    let expectedA = desiredA;
+    let expectedB = desiredB;
+    if (reserveA > 0n && reserveB > 0n) {
+      const optimalB = (desiredA * reserveB) / reserveA;
+      if (optimalB <= desiredB) {
+        expectedB = optimalB;
+      } else {
+        expectedA = (desiredB * reserveA) / reserveB;
+      }
+    }
+
+    await ensureAllowance(tokenA, signer, pool.target, desiredA);
+    await ensureAllowance(tokenB, signer, pool.target, desiredB);
+
+    // Tokens are always passed in the pool order, which the contract expects for the amounts
+    const tx = await pool.connect(signer).addLiquidity(
+      tokenA.address,
+      tokenB.address,
+      desiredA,
+      desiredB,
+      applySlippage(expectedA, slippage),
+      applySlippage(expectedB, slippage),
+      to || signer.address,
+      await getDeadline(hre, deadline)
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs.map(log => pool.interface.parseLog(log)).find(log => log?.name === "LiquidityAdded");
+
+    console.log(`Added ${format(hre, event.args.amountA, tokenA)} and ${format(hre, event.args.amountB, tokenB)}`);
+    console.log(`Minted ${hre.ethers.formatUnits(event.args.liquidity, 18)} LQP`);
+    console.log(`Transaction: ${tx.hash}`);
+  });
+
+addTxParams(task("pool:remove-liquidity", "Burns LQP tokens for the underlying tokens"))
+  .addOptionalParam("liquidity", "Amount of LQP to burn")
+  .addOptionalParam("percent", "Percentage of the signer LQP balance to burn", undefined, types.int)
+  .addOptionalParam("to", "Recipient of the tokens (defaults to the signer)")
+  .setAction(async ({ pool: poolAddress, liquidity, percent, to, slippage, deadline }, hre) => {
+    checkSlippage(slippage);
+    if ((liquidity === undefined) === (percent === undefined)) {
+      fail("Pass either --liquidity or --percent");
+    }
+    if (percent !== undefined && (percent <= 0 || percent > 100)) {
+      fail(`Invalid percent ${percent}, must be between 1 and 100`);
+    }
+
+    const { pool, tokenA, tokenB } = await loadPool(hre, poolAddress);
+    const [signer] = await hre.ethers.getSigners();
+    const balance = await pool.balanceOf(signer.address);
+    const amount = liquidity !== undefined
+      ? hre.ethers.parseUnits(liquidity, 18)
+      : (balance * BigInt(percent)) / 100n;
+
+    if (amount === 0n || amount > balance) {
+      fail(`Invalid LQP amount, balance is ${hre.ethers.formatUnits(balance, 18)} LQP`);
+    }
+
+    const [reserveA, reserveB, totalSupply] = await Promise.all([pool.reserve_A(), pool.reserve_B(), pool.totalSupply()]);
+
+    // The pool burns the caller's LQP directly, no approval is needed
+    const tx = await pool.connect(signer).removeLiquidity(
+      tokenA.address,
+      tokenB.address,
+      amount,
+      applySlippage((amount * reserveA) / totalSupply, slippage),
+      applySlippage((amount * reserveB) / totalSupply, slippage),
+      to || signer.address,
+      await getDeadline(hre, deadline)
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs.map(log => pool.interface.parseLog(log)).find(log => log?.name === "LiquidityRemoved");
+
+    console.log(`Burned ${hre.ethers.formatUnits(event.args.liquidity, 18)} LQP`);
+    console.log(`Received ${format(hre, event.args.amountA, tokenA)} and ${format(hre, event.args.amountB, tokenB)}`);
+    console.log(`Transaction: ${tx.hash}`);
+  });
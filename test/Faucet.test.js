@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { restoreChainAfterSuite } = require("./helpers/chain");
+
+describe("Faucet", function() {
+  let owner, user1, user2, tokenA, tokenB, faucet;
+  const AMOUNT_A = parseEther("100");
+  const AMOUNT_B = parseEther("50");
+  const COOLDOWN = 24 * 60 * 60;
+
+  restoreChainAfterSuite();
+
+  beforeEach(async function() {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const ERC20OwnableMock = await ethers.getContractFactory("ERC20OwnableMock");
+    tokenA = await ERC20OwnableMock.deploy("TokenA", "TKA", owner.address);
+    await tokenA.waitForDeployment();
+
+    tokenB = await ERC20OwnableMock.deploy("TokenB", "TKB", owner.address);
+    await tokenB.waitForDeployment();
+
+    const Faucet = await ethers.getContractFactory("Faucet");
+    faucet = await Faucet.deploy(tokenA.target, tokenB.target, owner.address, AMOUNT_A, AMOUNT_B, COOLDOWN);
+    await faucet.waitForDeployment();
+
+    await tokenA.transferOwnership(faucet.target);
+    await tokenB.transferOwnership(faucet.target);
+  });
+
+  describe("Deployment", function() {
+    it("Should deploy with correct tokens, drip and cooldown", async () => {
+      expect(await faucet.tokenA()).to.equal(tokenA.target);
+      expect(await faucet.tokenB()).to.equal(tokenB.target);
+      expect(await faucet.owner()).to.equal(owner.address);
+      expect(await faucet.amountA()).to.equal(AMOUNT_A);
+      expect(await faucet.amountB()).to.equal(AMOUNT_B);
+      expect(await faucet.cooldown()).to.equal(COOLDOWN);
+    });
+
+    it("Should revert with invalid tokens", async () => {
+      const Faucet = await ethers.getContractFactory("Faucet");
+      await expect(
+        Faucet.deploy(ethers.ZeroAddress, tokenB.target, owner.address, AMOUNT_A, AMOUNT_B, COOLDOWN)
+      ).to.be.revertedWith("Invalid token address");
+      await expect(
+        Faucet.deploy(tokenA.target, tokenA.target, owner.address, AMOUNT_A, AMOUNT_B, COOLDOWN)
+      ).to.be.revertedWith("tokens equals!");
+    });
+  });
+
+  describe("claim", function() {
+    it("Should mint the drip and emit Claimed", async () => {
+      await expect(faucet.connect(user1).claim())
+        .to.emit(faucet, "Claimed")
+        .withArgs(user1.address, AMOUNT_A, AMOUNT_B);
+
+      expect(await tokenA.balanceOf(user1.address)).to.equal(AMOUNT_A);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(AMOUNT_B);
+      expect(await faucet.lastClaimedAt(user1.address)).to.equal(await time.latest());
+    });
+
+    it("Should revert during the cooldown", async () => {
+      await faucet.connect(user1).claim();
+      await time.increase(COOLDOWN / 2);
+
+      await expect(faucet.connect(user1).claim()).to.be.revertedWith("Cooldown active");
+    });
+
+    it("Should allow claiming again after the cooldown", async () => {
+      await faucet.connect(user1).claim();
+      await time.increaseTo(await faucet.nextClaimAt(user1.address));
+
+      await faucet.connect(user1).claim();
+      expect(await tokenA.balanceOf(user1.address)).to.equal(AMOUNT_A * 2n);
+    });
+
+    it("Should keep a cooldown per address", async () => {
+      await faucet.connect(user1).claim();
+      await faucet.connect(user2).claim();
+
+      expect(await tokenA.balanceOf(user2.address)).to.equal(AMOUNT_A);
+    });
+
+    it("Should index the claimer to filter the claims of an address", async () => {
+      await faucet.connect(user1).claim();
+      await faucet.connect(user2).claim();
+
+      const claims = await faucet.queryFilter(faucet.filters.Claimed(user2.address));
+      expect(claims.map(claim => claim.args.user)).to.deep.equal([user2.address]);
+    });
+
+    it("Should revert if the faucet does not own the tokens", async () => {
+      await faucet.returnOwnership(owner.address);
+
+      await expect(faucet.connect(user1).claim()).to.be.revertedWithCustomError(tokenA, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("nextClaimAt and canClaim", function() {
+    it("Should report eligibility before and after a claim", async () => {
+      expect(await faucet.nextClaimAt(user1.address)).to.equal(0);
+      expect(await faucet.canClaim(user1.address)).to.equal(true);
+
+      await faucet.connect(user1).claim();
+      const claimedAt = BigInt(await time.latest());
+
+      expect(await faucet.nextClaimAt(user1.address)).to.equal(claimedAt + BigInt(COOLDOWN));
+      expect(await faucet.canClaim(user1.address)).to.equal(false);
+
+      await time.increase(COOLDOWN);
+      expect(await faucet.canClaim(user1.address)).to.equal(true);
+    });
+  });
+
+  describe("owner settings", function() {
+    it("Should update the drip", async () => {
+      await expect(faucet.setDrip(parseEther("1"), parseEther("2")))
+        .to.emit(faucet, "DripUpdated")
+        .withArgs(parseEther("1"), parseEther("2"));
+
+      await faucet.connect(user1).claim();
+      expect(await tokenA.balanceOf(user1.address)).to.equal(parseEther("1"));
+      expect(await tokenB.balanceOf(user1.address)).to.equal(parseEther("2"));
+    });
+
+    it("Should update the cooldown", async () => {
+      await faucet.connect(user1).claim();
+
+      await expect(faucet.setCooldown(60)).to.emit(faucet, "CooldownUpdated").withArgs(60);
+      await time.increase(60);
+
+      await expect(faucet.connect(user1).claim()).to.emit(faucet, "Claimed");
+    });
+
+    it("Should revert if not called by the owner", async () => {
+      await expect(faucet.connect(user1).setDrip(1, 1)).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount");
+      await expect(faucet.connect(user1).setCooldown(1)).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount");
+      await expect(faucet.connect(user1).returnOwnership(user1.address)).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("returnOwnership", function() {
+    it("Should transfer the ownership of both tokens", async () => {
+      await expect(faucet.returnOwnership(user2.address))
+        .to.emit(faucet, "OwnershipReturned")
+        .withArgs(user2.address);
+
+      expect(await tokenA.owner()).to.equal(user2.address);
+      expect(await tokenB.owner()).to.equal(user2.address);
+    });
+
+    it("Should revert with zero address", async () => {
+      await expect(faucet.returnOwnership(ethers.ZeroAddress)).to.be.revertedWith("Invalid owner address");
+    });
+  });
+});
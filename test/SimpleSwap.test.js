@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { parseEther } = require("ethers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { restoreChainAfterSuite } = require("./helpers/chain");
 
 describe("SimpleSwap", function() {
   let owner, user1, tokenA, tokenB, simpleSwap;
@@ -28,7 +31,7 @@ describe("SimpleSwap", function() {
 
     it("Should revert with same tokens", async () => {
       const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-      await expect(SimpleSwap.deploy(tokenA.target, tokenA.target)).to.be.revertedWith("tokens equals!");
+      await expect(SimpleSwap.deploy(tokenA.target, tokenA.target)).to.be.revertedWithCustomError(SimpleSwap, "IdenticalTokens").withArgs(tokenA.target);
     });
   });
 
@@ -69,7 +72,7 @@ describe("SimpleSwap", function() {
           owner.address,
           pastDeadline
         )
-      ).to.be.revertedWith("Transaction expired");
+      ).to.be.revertedWithCustomError(simpleSwap, "Expired").withArgs(pastDeadline, anyValue);
     });
 
     it("Should revert if recipient address is zero", async () => {
@@ -85,7 +88,7 @@ describe("SimpleSwap", function() {
           ethers.ZeroAddress,
           deadline
         )
-      ).to.be.revertedWith("Invalid 'to' address");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
     });
 
     it("Should revert with invalid token pair", async () => {
@@ -105,7 +108,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Invalid token pair");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair").withArgs(fakeToken.target, tokenB.target);
     });
 
     it("Should revert if optimal B is less than amountBMin", async () => {
@@ -141,7 +144,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Insufficient B amount");
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientBAmount");
     });
 
     it("Should revert if optimal A is less than amountAMin", async () => {
@@ -180,7 +183,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Insufficient A amount");
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientAAmount");
     });
 
     it("Should calculate optimal amounts with adjusted optimalA path", async () => {
@@ -275,11 +278,10 @@ describe("SimpleSwap", function() {
 
 
 
-    it("Should allow adding liquidity with tokenA and tokenB in reverse order", async function() {
-      const amountADesired = parseEther("100");
-      const amountBDesired = parseEther("200");
+    it("Should pull and credit each token its own amount when the tokens are in reverse order", async function() {
+      const amountBDesired = parseEther("100");
+      const amountADesired = parseEther("200");
 
-      // Approve tokens in reverse order
       await tokenA.connect(owner).approve(simpleSwap.target, amountADesired);
       await tokenB.connect(owner).approve(simpleSwap.target, amountBDesired);
 
@@ -287,21 +289,22 @@ describe("SimpleSwap", function() {
       const tx = await simpleSwap.connect(owner).addLiquidity(
         tokenB.target, // tokenA parameter receives token_B
         tokenA.target, // tokenB parameter receives token_A
-        amountADesired,
         amountBDesired,
+        amountADesired,
         0,
         0,
         owner.address,
         deadline
       );
 
-      const receipt = await tx.wait();
-      const event = receipt.logs.find(log => log.fragment?.name === "LiquidityAdded");
-      expect(event.args.amountA).to.equal(amountADesired);
-      expect(event.args.amountB).to.equal(amountBDesired);
+      // Amounts reported in token_A/token_B order
+      await expect(tx).to.emit(simpleSwap, "LiquidityAdded")
+        .withArgs(owner.address, amountADesired, amountBDesired, anyValue);
 
       expect(await tokenA.balanceOf(simpleSwap.target)).to.equal(amountADesired);
       expect(await tokenB.balanceOf(simpleSwap.target)).to.equal(amountBDesired);
+      expect(await simpleSwap.reserve_A()).to.equal(amountADesired);
+      expect(await simpleSwap.reserve_B()).to.equal(amountBDesired);
     });
   });
 
@@ -373,7 +376,7 @@ describe("SimpleSwap", function() {
           owner.address,
           pastDeadline
         )
-      ).to.be.revertedWith("Transaction expired");
+      ).to.be.revertedWithCustomError(simpleSwap, "Expired");
     });
 
     it("Should revert if recipient address is zero", async () => {
@@ -389,7 +392,7 @@ describe("SimpleSwap", function() {
           ethers.ZeroAddress,
           deadline
         )
-      ).to.be.revertedWith("Invalid 'to' address");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
     });
 
     it("Should revert if user does not have enough liquidity tokens", async () => {
@@ -406,7 +409,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Not enough liquidity");
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidityBalance").withArgs(liquidity - 1n, liquidity);
     });
 
     it("Should revert if token pair is invalid", async () => {
@@ -426,7 +429,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Invalid token pair");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair").withArgs(fakeToken.target, tokenB.target);
     });
 
     it("Should revert if slippage limit not met", async () => {
@@ -442,11 +445,13 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Slippage limit");
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientAAmount");
     });
 
     it("Should remove liquidity correctly when tokenA and tokenB are passed in reverse order", async () => {
       const liquidity = await simpleSwap.balanceOf(owner.address);
+      const balanceABefore = await tokenA.balanceOf(owner.address);
+      const balanceBBefore = await tokenB.balanceOf(owner.address);
 
       const tx = await simpleSwap.removeLiquidity(
         tokenB.target,
@@ -463,11 +468,16 @@ describe("SimpleSwap", function() {
 
       expect(event.args.provider).to.equal(owner.address);
 
-      expect(event.args.amountA).to.be.gt(0);
-      expect(event.args.amountB).to.be.gt(0);
+      // The event reports token_A then token_B, not the order of the call
+      expect(event.args.amountA).to.equal((await tokenA.balanceOf(owner.address)) - balanceABefore);
+      expect(event.args.amountB).to.equal((await tokenB.balanceOf(owner.address)) - balanceBBefore);
+      expect(event.args.amountA).to.be.lt(event.args.amountB);
 
-      expect(await tokenA.balanceOf(simpleSwap.target)).to.equal(0);
-      expect(await tokenB.balanceOf(simpleSwap.target)).to.equal(0);
+      // Only the share of the locked MINIMUM_LIQUIDITY stays in the pool
+      expect(await tokenA.balanceOf(simpleSwap.target)).to.equal(await simpleSwap.reserve_A());
+      expect(await tokenB.balanceOf(simpleSwap.target)).to.equal(await simpleSwap.reserve_B());
+      expect(await simpleSwap.reserve_A()).to.be.lt(1000);
+      expect(await simpleSwap.reserve_B()).to.be.lt(2000);
 
       expect(await simpleSwap.balanceOf(owner.address)).to.equal(0);
     });
@@ -574,7 +584,7 @@ describe("SimpleSwap", function() {
           owner.address,
           pastDeadline
         )
-      ).to.be.revertedWith("Transaction expired");
+      ).to.be.revertedWithCustomError(simpleSwap, "Expired");
     });
 
     it("Should revert if path length is invalid (not 2)", async () => {
@@ -593,7 +603,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Invalid path length");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidPathLength").withArgs(1);
     });
 
     it("Should revert if token pair in path does not match pool tokens", async () => {
@@ -616,7 +626,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Invalid tokens");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair").withArgs(fakeToken.target, tokenB.target);
     });
 
     it("Should revert if amountOut is less than amountOutMin", async () => {
@@ -636,7 +646,7 @@ describe("SimpleSwap", function() {
           owner.address,
           deadline
         )
-      ).to.be.revertedWith("Insufficient output amount");
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientOutputAmount");
     });
 
     it("Should revert if 'to' address is zero", async () => {
@@ -655,7 +665,7 @@ describe("SimpleSwap", function() {
           ethers.ZeroAddress,
           deadline
         )
-      ).to.be.revertedWith("Invalid 'to' address");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
     });
 
     it("Should swap tokens correctly even if tokenA and tokenB are passed in reverse order in path", async () => {
@@ -692,6 +702,159 @@ describe("SimpleSwap", function() {
 
   });
 
+  describe("swapTokensForExactTokens", function() {
+    let deadline;
+
+    beforeEach(async () => {
+      deadline = Math.floor(Date.now() / 1000) + 3600;
+
+      const amountA = parseEther("100");
+      const amountB = parseEther("200");
+
+      await tokenA.connect(owner).approve(simpleSwap.target, amountA);
+      await tokenB.connect(owner).approve(simpleSwap.target, amountB);
+
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        amountA,
+        amountB,
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+    });
+
+    it("Should swap tokenA for an exact amount of tokenB", async () => {
+      const amountOut = parseEther("10");
+      const amountInMax = parseEther("10");
+      const expectedIn = await simpleSwap.getAmountIn(amountOut, parseEther("100"), parseEther("200"));
+
+      await tokenA.connect(owner).approve(simpleSwap.target, amountInMax);
+
+      const balanceABefore = await tokenA.balanceOf(owner.address);
+      const balanceBBefore = await tokenB.balanceOf(owner.address);
+
+      const tx = await simpleSwap.swapTokensForExactTokens(
+        amountOut,
+        amountInMax,
+        [tokenA.target, tokenB.target],
+        owner.address,
+        deadline
+      );
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => log.fragment?.name === "TokensSwapped");
+      expect(event.args.user).to.equal(owner.address);
+      expect(event.args.tokenIn).to.equal(tokenA.target);
+      expect(event.args.tokenOut).to.equal(tokenB.target);
+      expect(event.args.amountIn).to.equal(expectedIn);
+      expect(event.args.amountOut).to.equal(amountOut);
+
+      expect(balanceABefore - (await tokenA.balanceOf(owner.address))).to.equal(expectedIn);
+      expect((await tokenB.balanceOf(owner.address)) - balanceBBefore).to.equal(amountOut);
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("100") + expectedIn);
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("190"));
+    });
+
+    it("Should swap tokenB for an exact amount of tokenA", async () => {
+      const amountOut = parseEther("5");
+      const amountInMax = parseEther("20");
+
+      await tokenB.connect(owner).approve(simpleSwap.target, amountInMax);
+
+      const balanceBefore = await tokenA.balanceOf(owner.address);
+
+      await simpleSwap.swapTokensForExactTokens(
+        amountOut,
+        amountInMax,
+        [tokenB.target, tokenA.target],
+        owner.address,
+        deadline
+      );
+
+      expect((await tokenA.balanceOf(owner.address)) - balanceBefore).to.equal(amountOut);
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("95"));
+    });
+
+    it("Should revert if deadline has passed", async () => {
+      const pastDeadline = Math.floor(Date.now() / 1000) - 10;
+
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("1"),
+          parseEther("10"),
+          [tokenA.target, tokenB.target],
+          owner.address,
+          pastDeadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "Expired");
+    });
+
+    it("Should revert if path length is invalid (not 2)", async () => {
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("1"),
+          parseEther("10"),
+          [tokenA.target],
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidPathLength");
+    });
+
+    it("Should revert if 'to' address is zero", async () => {
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("1"),
+          parseEther("10"),
+          [tokenA.target, tokenB.target],
+          ethers.ZeroAddress,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should revert if token pair in path does not match pool tokens", async () => {
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("1"),
+          parseEther("10"),
+          [tokenA.target, tokenA.target],
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair");
+    });
+
+    it("Should revert if amountIn is greater than amountInMax", async () => {
+      await tokenA.connect(owner).approve(simpleSwap.target, parseEther("10"));
+
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("10"),
+          parseEther("5"),
+          [tokenA.target, tokenB.target],
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "ExcessiveInputAmount");
+    });
+
+    it("Should revert if amountOut drains the whole reserve", async () => {
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          parseEther("200"),
+          parseEther("1000"),
+          [tokenA.target, tokenB.target],
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+    });
+  });
+
   describe("getPrice", function() {
     beforeEach(async () => {
       const deadline = Math.floor(Date.now() / 1000) + 3600;
@@ -734,7 +897,7 @@ describe("SimpleSwap", function() {
 
       await expect(
         simpleSwap.getPrice(fakeToken.target, tokenB.target)
-      ).to.be.revertedWith("Invalid tokens");
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair").withArgs(fakeToken.target, tokenB.target);
     });
 
     it("Should revert with 'No liquidity' if no liquidity has been added", async () => {
@@ -746,7 +909,7 @@ describe("SimpleSwap", function() {
       // Try getting the price without any reserves
       await expect(
         emptySwap.getPrice(tokenA.target, tokenB.target)
-      ).to.be.revertedWith("No liquidity");
+      ).to.be.revertedWithCustomError(emptySwap, "NoLiquidity");
     });
   });
 
@@ -768,6 +931,783 @@ describe("SimpleSwap", function() {
       await expect(simpleSwap.getAmountOut(parseEther("1"), 0, parseEther("100"))).to.be.reverted;
       await expect(simpleSwap.getAmountOut(parseEther("1"), parseEther("100"), 0)).to.be.reverted;
     });
+
+    it("Should discount the 0.3% swap fee from the input amount", async () => {
+      const amountIn = parseEther("10");
+      const reserveIn = parseEther("100");
+      const reserveOut = parseEther("200");
+
+      const amountInWithFee = amountIn * 997n;
+      const expected = (amountInWithFee * reserveOut) / (reserveIn * 1000n + amountInWithFee);
+      const feeless = (amountIn * reserveOut) / (reserveIn + amountIn);
+
+      const amountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+      expect(amountOut).to.equal(expected);
+      expect(amountOut).to.be.lt(feeless);
+    });
+  });
+
+  describe("getAmountIn", function() {
+    it("Should return the minimum input that yields at least amountOut", async () => {
+      const amountOut = parseEther("10");
+      const reserveIn = parseEther("100");
+      const reserveOut = parseEther("200");
+
+      const amountIn = await simpleSwap.getAmountIn(amountOut, reserveIn, reserveOut);
+
+      expect(await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.gte(amountOut);
+      expect(await simpleSwap.getAmountOut(amountIn - 1n, reserveIn, reserveOut)).to.be.lt(amountOut);
+    });
+
+    it("Should revert if reserveIn or reserveOut is zero", async () => {
+      await expect(simpleSwap.getAmountIn(parseEther("1"), 0, parseEther("100"))).to.be.revertedWithCustomError(simpleSwap, "NoLiquidity");
+      await expect(simpleSwap.getAmountIn(parseEther("1"), parseEther("100"), 0)).to.be.revertedWithCustomError(simpleSwap, "NoLiquidity");
+    });
+
+    it("Should revert if amountOut is not lower than reserveOut", async () => {
+      await expect(simpleSwap.getAmountIn(parseEther("100"), parseEther("100"), parseEther("100"))).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+    });
+
+    it("Should revert quotes for a zero amount", async () => {
+      await expect(simpleSwap.getAmountIn(0, parseEther("100"), parseEther("100"))).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
+      await expect(simpleSwap.getAmountOut(0, parseEther("100"), parseEther("100"))).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
+    });
+  });
+
+  describe("price accumulators", function() {
+    let deadline;
+
+    restoreChainAfterSuite();
+
+    beforeEach(async () => {
+      deadline = (await time.latest()) + 36000;
+
+      await tokenA.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+    });
+
+    async function addInitialLiquidity() {
+      const tx = await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        parseEther("100"),
+        parseEther("200"),
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+      await tx.wait();
+      return BigInt(await time.latest());
+    }
+
+    it("Should start at zero and not accumulate on the first deposit", async () => {
+      const timestamp = await addInitialLiquidity();
+
+      expect(await simpleSwap.priceACumulativeLast()).to.equal(0);
+      expect(await simpleSwap.priceBCumulativeLast()).to.equal(0);
+      expect(await simpleSwap.blockTimestampLast()).to.equal(timestamp);
+    });
+
+    it("Should accumulate the previous price on swaps", async () => {
+      const start = await addInitialLiquidity();
+      await time.increase(99);
+
+      await simpleSwap.swapExactTokensForTokens(parseEther("10"), 0, [tokenA.target, tokenB.target], owner.address, deadline);
+      const swapTime = BigInt(await time.latest());
+
+      expect(swapTime - start).to.equal(100);
+      expect(await simpleSwap.priceACumulativeLast()).to.equal(parseEther("2") * 100n);
+      expect(await simpleSwap.priceBCumulativeLast()).to.equal(parseEther("0.5") * 100n);
+      expect(await simpleSwap.blockTimestampLast()).to.equal(swapTime);
+    });
+
+    it("Should accumulate on exact output swaps and liquidity changes", async () => {
+      await addInitialLiquidity();
+      let last = 0n;
+
+      const operations = [
+        () => simpleSwap.swapTokensForExactTokens(parseEther("1"), parseEther("10"), [tokenB.target, tokenA.target], owner.address, deadline),
+        () => simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("10"), parseEther("20"), 0, 0, owner.address, deadline),
+        () => simpleSwap.removeLiquidity(tokenA.target, tokenB.target, parseEther("1"), 0, 0, owner.address, deadline),
+      ];
+
+      for (const operation of operations) {
+        await time.increase(50);
+        await operation();
+
+        const cumulative = await simpleSwap.priceACumulativeLast();
+        expect(cumulative).to.be.gt(last);
+        expect(await simpleSwap.blockTimestampLast()).to.equal(await time.latest());
+        last = cumulative;
+      }
+    });
+  });
+
+  describe("minimum liquidity, skim and sync", function() {
+    let deadline, attacker, victim;
+
+    beforeEach(async () => {
+      deadline = (await time.latest()) + 3600;
+      [, attacker, victim] = await ethers.getSigners();
+
+      await tokenA.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+
+      for (const account of [attacker, victim]) {
+        await tokenA.connect(owner).transfer(account.address, parseEther("200"));
+        await tokenB.connect(owner).transfer(account.address, parseEther("200"));
+        await tokenA.connect(account).approve(simpleSwap.target, ethers.MaxUint256);
+        await tokenB.connect(account).approve(simpleSwap.target, ethers.MaxUint256);
+      }
+    });
+
+    function addLiquidity(account, amountA, amountB) {
+      return simpleSwap.connect(account).addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        amountA,
+        amountB,
+        0,
+        0,
+        account.address,
+        deadline
+      );
+    }
+
+    it("Should lock MINIMUM_LIQUIDITY on the first deposit", async () => {
+      await addLiquidity(victim, parseEther("100"), parseEther("100"));
+
+      const minimumLiquidity = await simpleSwap.MINIMUM_LIQUIDITY();
+      expect(await simpleSwap.balanceOf(await simpleSwap.DEAD_ADDRESS())).to.equal(minimumLiquidity);
+      expect(await simpleSwap.balanceOf(victim.address)).to.equal(parseEther("100") - minimumLiquidity);
+      expect(await simpleSwap.totalSupply()).to.equal(parseEther("100"));
+    });
+
+    it("Should not lock liquidity on later deposits", async () => {
+      await addLiquidity(owner, parseEther("100"), parseEther("100"));
+      await addLiquidity(victim, parseEther("10"), parseEther("10"));
+
+      expect(await simpleSwap.balanceOf(victim.address)).to.equal(parseEther("10"));
+    });
+
+    it("Should revert a first deposit that does not exceed MINIMUM_LIQUIDITY", async () => {
+      await expect(addLiquidity(attacker, 1000, 1000)).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidityMinted").withArgs(1000);
+      await expect(addLiquidity(attacker, 1, 1)).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidityMinted").withArgs(1);
+    });
+
+    // Donate-then-mint: the attacker holds the only LQP, inflates its value with a donation and a sync,
+    // and takes part of the next deposit, whose share is rounded down. Both accounts start with 200 of each token.
+    async function inflationAttack(pool, firstDeposit) {
+      for (const account of [attacker, victim]) {
+        await tokenA.connect(account).approve(pool.target, ethers.MaxUint256);
+        await tokenB.connect(account).approve(pool.target, ethers.MaxUint256);
+      }
+      const deposit = (account, amount) =>
+        pool.connect(account).addLiquidity(tokenA.target, tokenB.target, amount, amount, 0, 0, account.address, deadline);
+      const withdrawAll = async account =>
+        pool.connect(account).removeLiquidity(tokenA.target, tokenB.target, await pool.balanceOf(account.address), 0, 0, account.address, deadline);
+
+      await deposit(attacker, firstDeposit);
+      await tokenA.connect(attacker).transfer(pool.target, parseEther("100"));
+      await tokenB.connect(attacker).transfer(pool.target, parseEther("100"));
+      await pool.sync();
+
+      await deposit(victim, parseEther("150"));
+      const victimLiquidity = await pool.balanceOf(victim.address);
+
+      await withdrawAll(attacker);
+      await withdrawAll(victim);
+
+      return {
+        victimLiquidity,
+        victimLoss: parseEther("200") - (await tokenA.balanceOf(victim.address)),
+        attackerProfit: (await tokenA.balanceOf(attacker.address)) - parseEther("200")
+      };
+    }
+
+    it("Should let the attacker steal part of the first deposits without MINIMUM_LIQUIDITY", async () => {
+      const SimpleSwapNoMinimumLiquidityMock = await ethers.getContractFactory("SimpleSwapNoMinimumLiquidityMock");
+      const vulnerablePool = await SimpleSwapNoMinimumLiquidityMock.deploy(tokenA.target, tokenB.target);
+
+      // 1 wei of each token mints 1 LQP, worth 100 tokens after the donation: 150 tokens buy 1 LQP too
+      const { victimLiquidity, victimLoss, attackerProfit } = await inflationAttack(vulnerablePool, 1);
+
+      expect(victimLiquidity).to.equal(1);
+      expect(victimLoss).to.equal(parseEther("25") - 1n);
+      expect(attackerProfit).to.equal(parseEther("25") - 1n);
+    });
+
+    it("Should make the same attack lose the donation with MINIMUM_LIQUIDITY", async () => {
+      // The attacker must deposit more than the locked 1000 wei to get 1 LQP
+      const { victimLiquidity, victimLoss, attackerProfit } = await inflationAttack(simpleSwap, 1001);
+
+      expect(victimLiquidity).to.equal(1501);
+      expect(victimLoss).to.be.lt(parseEther("0.1"));
+      expect(attackerProfit).to.be.lt(-parseEther("99"));
+    });
+
+    it("Should make the first depositor share inflation attack unprofitable", async () => {
+      const attackerABefore = await tokenA.balanceOf(attacker.address);
+
+      // 1. Attacker mints the smallest possible share: 1 LQP
+      await addLiquidity(attacker, 1001, 1001);
+      expect(await simpleSwap.balanceOf(attacker.address)).to.equal(1);
+
+      // 2. Attacker donates to the pool and syncs to inflate the value of each LQP
+      await tokenA.connect(attacker).transfer(simpleSwap.target, parseEther("100"));
+      await tokenB.connect(attacker).transfer(simpleSwap.target, parseEther("100"));
+      await simpleSwap.sync();
+
+      // 3. Victim deposits; without the locked liquidity its share would round down to zero
+      await addLiquidity(victim, parseEther("50"), parseEther("50"));
+      const victimLiquidity = await simpleSwap.balanceOf(victim.address);
+      expect(victimLiquidity).to.be.gt(0);
+
+      // 4. Attacker exits: most of the donation stays with the locked liquidity and the victim
+      await simpleSwap.connect(attacker).removeLiquidity(tokenA.target, tokenB.target, 1, 0, 0, attacker.address, deadline);
+      const attackerLoss = attackerABefore - (await tokenA.balanceOf(attacker.address));
+      expect(attackerLoss).to.be.gt(parseEther("99"));
+
+      // 5. Victim redeems its deposit, losing at most the value of one LQP to rounding
+      await simpleSwap.connect(victim).removeLiquidity(tokenA.target, tokenB.target, victimLiquidity, 0, 0, victim.address, deadline);
+      expect(await tokenA.balanceOf(victim.address)).to.be.closeTo(parseEther("200"), parseEther("0.1"));
+    });
+
+    it("Should ignore direct transfers until sync", async () => {
+      await addLiquidity(owner, parseEther("100"), parseEther("200"));
+      await tokenA.connect(attacker).transfer(simpleSwap.target, parseEther("10"));
+
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("100"));
+      expect(await simpleSwap.getPrice(tokenA.target, tokenB.target)).to.equal(parseEther("2"));
+    });
+
+    it("Should send the excess balances to 'to' on skim", async () => {
+      await addLiquidity(owner, parseEther("100"), parseEther("200"));
+      await tokenA.connect(attacker).transfer(simpleSwap.target, parseEther("10"));
+      await tokenB.connect(attacker).transfer(simpleSwap.target, parseEther("5"));
+
+      const balanceABefore = await tokenA.balanceOf(victim.address);
+      const balanceBBefore = await tokenB.balanceOf(victim.address);
+
+      await simpleSwap.skim(victim.address);
+
+      expect((await tokenA.balanceOf(victim.address)) - balanceABefore).to.equal(parseEther("10"));
+      expect((await tokenB.balanceOf(victim.address)) - balanceBBefore).to.equal(parseEther("5"));
+      expect(await tokenA.balanceOf(simpleSwap.target)).to.equal(await simpleSwap.reserve_A());
+      expect(await tokenB.balanceOf(simpleSwap.target)).to.equal(await simpleSwap.reserve_B());
+    });
+
+    it("Should revert skim to zero address", async () => {
+      await expect(simpleSwap.skim(ethers.ZeroAddress)).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should set the reserves to the balances on sync", async () => {
+      await addLiquidity(owner, parseEther("100"), parseEther("200"));
+      await tokenA.connect(attacker).transfer(simpleSwap.target, parseEther("10"));
+      await tokenB.connect(attacker).transfer(simpleSwap.target, parseEther("20"));
+
+      await simpleSwap.sync();
+
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("110"));
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("220"));
+      expect(await simpleSwap.blockTimestampLast()).to.equal(await time.latest());
+    });
+  });
+
+  describe("fee-on-transfer tokens", function() {
+    let feeToken, feeSwap, deadline;
+
+    beforeEach(async () => {
+      deadline = (await time.latest()) + 3600;
+
+      // Burns 1% of every transfer
+      const ERC20FeeOnTransferMock = await ethers.getContractFactory("ERC20FeeOnTransferMock");
+      feeToken = await ERC20FeeOnTransferMock.deploy("FeeToken", "FEE", owner.address, parseEther("1000"), 100);
+      await feeToken.waitForDeployment();
+
+      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+      feeSwap = await SimpleSwap.deploy(feeToken.target, tokenB.target);
+      await feeSwap.waitForDeployment();
+
+      await feeToken.connect(owner).approve(feeSwap.target, ethers.MaxUint256);
+      await tokenB.connect(owner).approve(feeSwap.target, ethers.MaxUint256);
+    });
+
+    async function expectReservesMatchBalances() {
+      expect(await feeSwap.reserve_A()).to.equal(await feeToken.balanceOf(feeSwap.target));
+      expect(await feeSwap.reserve_B()).to.equal(await tokenB.balanceOf(feeSwap.target));
+    }
+
+    it("Should corrupt the reserves when using addLiquidity with a taxed token", async () => {
+      await feeSwap.addLiquidity(feeToken.target, tokenB.target, parseEther("100"), parseEther("100"), 0, 0, owner.address, deadline);
+
+      expect(await feeSwap.reserve_A()).to.equal(parseEther("100"));
+      expect(await feeToken.balanceOf(feeSwap.target)).to.equal(parseEther("99"));
+    });
+
+    it("Should credit the amounts received when adding liquidity", async () => {
+      const tx = await feeSwap.addLiquiditySupportingFeeOnTransferTokens(
+        feeToken.target,
+        tokenB.target,
+        parseEther("100"),
+        parseEther("100"),
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "LiquidityAdded");
+
+      expect(event.args.amountA).to.equal(parseEther("99"));
+      expect(event.args.amountB).to.equal(parseEther("100"));
+      await expectReservesMatchBalances();
+
+      // Second deposit uses the received amounts for the share too
+      await feeSwap.addLiquiditySupportingFeeOnTransferTokens(
+        feeToken.target,
+        tokenB.target,
+        parseEther("99"),
+        parseEther("99"),
+        0,
+        0,
+        user1.address,
+        deadline
+      );
+      await expectReservesMatchBalances();
+      expect(await feeSwap.balanceOf(user1.address)).to.be.lt(parseEther("99"));
+    });
+
+    it("Should pull and credit each token its own amount when the tokens are reversed", async () => {
+      await tokenA.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(owner).approve(simpleSwap.target, ethers.MaxUint256);
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("300"), 0, 0, owner.address, deadline);
+      const balanceABefore = await tokenA.balanceOf(owner.address);
+      const balanceBBefore = await tokenB.balanceOf(owner.address);
+
+      // 30 of token B and 5 of token A desired: at 1 A = 3 B the pool takes 5 A and 15 B
+      const args = [tokenB.target, tokenA.target, parseEther("30"), parseEther("5"), 0, 0, owner.address, deadline];
+      const [receivedA, receivedB] = await simpleSwap.addLiquiditySupportingFeeOnTransferTokens.staticCall(...args);
+      await expect(simpleSwap.addLiquiditySupportingFeeOnTransferTokens(...args))
+        .to.emit(simpleSwap, "LiquidityAdded")
+        .withArgs(owner.address, parseEther("5"), parseEther("15"), anyValue);
+
+      expect(receivedA).to.equal(parseEther("5"));
+      expect(receivedB).to.equal(parseEther("15"));
+      expect(balanceABefore - await tokenA.balanceOf(owner.address)).to.equal(parseEther("5"));
+      expect(balanceBBefore - await tokenB.balanceOf(owner.address)).to.equal(parseEther("15"));
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("105"));
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("315"));
+    });
+
+    it("Should revert adding liquidity with invalid parameters", async () => {
+      await expect(
+        feeSwap.addLiquiditySupportingFeeOnTransferTokens(feeToken.target, tokenB.target, 1, 1, 0, 0, owner.address, 0)
+      ).to.be.revertedWithCustomError(feeSwap, "Expired").withArgs(0, anyValue);
+      await expect(
+        feeSwap.addLiquiditySupportingFeeOnTransferTokens(feeToken.target, tokenB.target, 1, 1, 0, 0, ethers.ZeroAddress, deadline)
+      ).to.be.revertedWithCustomError(feeSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+      await expect(
+        feeSwap.addLiquiditySupportingFeeOnTransferTokens(tokenA.target, tokenB.target, 1, 1, 0, 0, owner.address, deadline)
+      ).to.be.revertedWithCustomError(feeSwap, "InvalidTokenPair").withArgs(tokenA.target, tokenB.target);
+    });
+
+    describe("swaps", function() {
+      beforeEach(async () => {
+        await feeSwap.addLiquiditySupportingFeeOnTransferTokens(
+          feeToken.target,
+          tokenB.target,
+          parseEther("100"),
+          parseEther("200"),
+          0,
+          0,
+          owner.address,
+          deadline
+        );
+      });
+
+      it("Should quote a taxed input on the amount received", async () => {
+        const reserveA = await feeSwap.reserve_A();
+        const reserveB = await feeSwap.reserve_B();
+        const expectedOut = await feeSwap.getAmountOut(parseEther("9.9"), reserveA, reserveB);
+        const balanceBefore = await tokenB.balanceOf(owner.address);
+
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            parseEther("10"),
+            expectedOut,
+            [feeToken.target, tokenB.target],
+            owner.address,
+            deadline
+          )
+        ).to.emit(feeSwap, "TokensSwapped").withArgs(owner.address, feeToken.target, tokenB.target, parseEther("9.9"), expectedOut);
+
+        expect((await tokenB.balanceOf(owner.address)) - balanceBefore).to.equal(expectedOut);
+        await expectReservesMatchBalances();
+      });
+
+      it("Should check amountOutMin against what the recipient gets of a taxed output", async () => {
+        const expectedOut = await feeSwap.getAmountOut(parseEther("10"), await feeSwap.reserve_B(), await feeSwap.reserve_A());
+        const received = expectedOut - (expectedOut * 100n) / 10000n;
+
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            parseEther("10"),
+            received + 1n,
+            [tokenB.target, feeToken.target],
+            user1.address,
+            deadline
+          )
+        ).to.be.revertedWithCustomError(feeSwap, "InsufficientOutputAmount").withArgs(received, received + 1n);
+
+        await feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+          parseEther("10"),
+          received,
+          [tokenB.target, feeToken.target],
+          user1.address,
+          deadline
+        );
+
+        expect(await feeToken.balanceOf(user1.address)).to.equal(received);
+        await expectReservesMatchBalances();
+      });
+
+      it("Should leave the reserves above the balances with the standard swap", async () => {
+        const [amountOut] = await feeSwap.getQuote(parseEther("10"), feeToken.target, tokenB.target);
+
+        // The standard swap credits 10 tokens in but only 9.9 arrived
+        await feeSwap.swapExactTokensForTokens(parseEther("10"), amountOut, [feeToken.target, tokenB.target], owner.address, deadline);
+        expect(await feeSwap.reserve_A()).to.be.gt(await feeToken.balanceOf(feeSwap.target));
+      });
+
+      it("Should revert swaps with invalid parameters", async () => {
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(1, 0, [feeToken.target, tokenB.target], owner.address, 0)
+        ).to.be.revertedWithCustomError(feeSwap, "Expired");
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(1, 0, [feeToken.target], owner.address, deadline)
+        ).to.be.revertedWithCustomError(feeSwap, "InvalidPathLength");
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(1, 0, [feeToken.target, tokenB.target], ethers.ZeroAddress, deadline)
+        ).to.be.revertedWithCustomError(feeSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+        await expect(
+          feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(1, 0, [tokenA.target, tokenB.target], owner.address, deadline)
+        ).to.be.revertedWithCustomError(feeSwap, "InvalidTokenPair").withArgs(tokenA.target, tokenB.target);
+      });
+
+      it("Should never decrease k across taxed swaps", async () => {
+        let k = (await feeSwap.reserve_A()) * (await feeSwap.reserve_B());
+
+        for (const path of [[feeToken.target, tokenB.target], [tokenB.target, feeToken.target]]) {
+          await feeSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(parseEther("5"), 0, path, owner.address, deadline);
+          const newK = (await feeSwap.reserve_A()) * (await feeSwap.reserve_B());
+          expect(newK).to.be.gt(k);
+          k = newK;
+        }
+      });
+    });
+  });
+
+  describe("flashSwap", function() {
+    let borrower, deadline;
+
+    beforeEach(async () => {
+      deadline = (await time.latest()) + 3600;
+
+      await tokenA.connect(owner).approve(simpleSwap.target, parseEther("100"));
+      await tokenB.connect(owner).approve(simpleSwap.target, parseEther("200"));
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        parseEther("100"),
+        parseEther("200"),
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+
+      const FlashBorrowerMock = await ethers.getContractFactory("FlashBorrowerMock");
+      borrower = await FlashBorrowerMock.deploy(simpleSwap.target);
+      await borrower.waitForDeployment();
+
+      // Borrower funds to pay the fee
+      await tokenA.connect(owner).transfer(borrower.target, parseEther("10"));
+      await tokenB.connect(owner).transfer(borrower.target, parseEther("10"));
+    });
+
+    // Smallest repayment in the same token that keeps k with the 0.3% fee
+    function repaymentWithFee(amount) {
+      return (amount * 1000n) / 997n + 1n;
+    }
+
+    it("Should lend tokens to the callback and accept repayment with fee", async () => {
+      const amountOut = parseEther("50");
+      const repay = repaymentWithFee(amountOut);
+
+      await expect(borrower.connect(user1).borrow(amountOut, 0, repay, 0, false))
+        .to.emit(simpleSwap, "FlashSwapped")
+        .withArgs(borrower.target, borrower.target, amountOut, 0, repay, 0);
+
+      expect(await borrower.lastSender()).to.equal(borrower.target);
+      expect(await borrower.lastAmountA()).to.equal(amountOut);
+      expect(await borrower.lastAmountB()).to.equal(0);
+
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("100") - amountOut + repay);
+      expect(await simpleSwap.reserve_A()).to.equal(await tokenA.balanceOf(simpleSwap.target));
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("200"));
+    });
+
+    it("Should accept repayment in the other token", async () => {
+      const amountOut = parseEther("1");
+      // Pay back in token B at least what a swap of B for 1 A would cost
+      const repayB = await simpleSwap.getAmountIn(amountOut, parseEther("200"), parseEther("99"));
+
+      await borrower.borrow(amountOut, 0, 0, repayB, false);
+
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("99"));
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("200") + repayB);
+    });
+
+    it("Should lend both tokens at once", async () => {
+      const amountAOut = parseEther("5");
+      const amountBOut = parseEther("5");
+
+      await borrower.borrow(amountAOut, amountBOut, repaymentWithFee(amountAOut), repaymentWithFee(amountBOut), false);
+
+      expect(await simpleSwap.reserve_A()).to.be.gt(parseEther("100"));
+      expect(await simpleSwap.reserve_B()).to.be.gt(parseEther("200"));
+    });
+
+    it("Should never decrease k", async () => {
+      const kBefore = (await simpleSwap.reserve_A()) * (await simpleSwap.reserve_B());
+      const amountOut = parseEther("50");
+
+      await borrower.borrow(amountOut, 0, repaymentWithFee(amountOut), 0, false);
+
+      expect((await simpleSwap.reserve_A()) * (await simpleSwap.reserve_B())).to.be.gt(kBefore);
+    });
+
+    it("Should revert if the fee is not paid", async () => {
+      const amountOut = parseEther("50");
+
+      await expect(
+        borrower.borrow(amountOut, 0, amountOut, 0, false)
+      ).to.be.revertedWithCustomError(simpleSwap, "InvariantViolated");
+      await expect(
+        borrower.borrow(amountOut, 0, repaymentWithFee(amountOut) - 2n, 0, false)
+      ).to.be.revertedWithCustomError(simpleSwap, "InvariantViolated");
+    });
+
+    it("Should revert if nothing is paid back", async () => {
+      await expect(borrower.borrow(parseEther("1"), 0, 0, 0, false)).to.be.revertedWithCustomError(simpleSwap, "InsufficientInputAmount");
+    });
+
+    it("Should revert reentrant calls from the callback", async () => {
+      const amountOut = parseEther("1");
+
+      await expect(
+        borrower.borrow(amountOut, 0, repaymentWithFee(amountOut), 0, true)
+      ).to.be.revertedWithCustomError(simpleSwap, "ReentrancyGuardReentrantCall");
+    });
+
+    it("Should revert with invalid amounts or recipient", async () => {
+      await expect(simpleSwap.flashSwap(0, 0, borrower.target, "0x")).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
+      await expect(simpleSwap.flashSwap(parseEther("100"), 0, borrower.target, "0x")).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+      await expect(simpleSwap.flashSwap(parseEther("1"), 0, ethers.ZeroAddress, "0x")).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+      await expect(simpleSwap.flashSwap(parseEther("1"), 0, tokenA.target, "0x")).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient").withArgs(tokenA.target);
+    });
+
+    it("Should revert if the recipient does not implement the callback", async () => {
+      await expect(simpleSwap.flashSwap(parseEther("1"), 0, user1.address, "0x")).to.be.reverted;
+    });
+  });
+
+  describe("swap fee", function() {
+    let deadline;
+
+    beforeEach(async () => {
+      deadline = Math.floor(Date.now() / 1000) + 3600;
+
+      await tokenA.connect(owner).approve(simpleSwap.target, parseEther("100"));
+      await tokenB.connect(owner).approve(simpleSwap.target, parseEther("200"));
+
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        parseEther("100"),
+        parseEther("200"),
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+
+      await tokenA.connect(owner).transfer(user1.address, parseEther("100"));
+      await tokenB.connect(owner).transfer(user1.address, parseEther("100"));
+      await tokenA.connect(user1).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(user1).approve(simpleSwap.target, ethers.MaxUint256);
+    });
+
+    it("Should quote the same amount the swap pays and report the fee", async () => {
+      const amountIn = parseEther("10");
+      const [amountOut, fee] = await simpleSwap.getQuote(amountIn, tokenA.target, tokenB.target);
+
+      expect(fee).to.equal(parseEther("0.03"));
+
+      const balanceBefore = await tokenB.balanceOf(user1.address);
+      await simpleSwap.connect(user1).swapExactTokensForTokens(
+        amountIn,
+        amountOut,
+        [tokenA.target, tokenB.target],
+        user1.address,
+        deadline
+      );
+      const balanceAfter = await tokenB.balanceOf(user1.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(amountOut);
+    });
+
+    it("Should revert getQuote on invalid token pair", async () => {
+      await expect(
+        simpleSwap.getQuote(parseEther("1"), tokenA.target, tokenA.target)
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenPair").withArgs(tokenA.target, tokenA.target);
+    });
+
+    it("Should keep the full input amount in the reserves", async () => {
+      const amountIn = parseEther("10");
+      await simpleSwap.connect(user1).swapExactTokensForTokens(
+        amountIn,
+        0,
+        [tokenA.target, tokenB.target],
+        user1.address,
+        deadline
+      );
+
+      expect(await simpleSwap.reserve_A()).to.equal(parseEther("110"));
+      expect(await simpleSwap.reserve_A()).to.equal(await tokenA.balanceOf(simpleSwap.target));
+      expect(await simpleSwap.reserve_B()).to.equal(await tokenB.balanceOf(simpleSwap.target));
+    });
+
+    it("Should never decrease k across swaps", async () => {
+      const swaps = [
+        [tokenA, tokenB, parseEther("10")],
+        [tokenB, tokenA, parseEther("35")],
+        [tokenA, tokenB, parseEther("0.001")],
+        [tokenB, tokenA, parseEther("1")],
+        [tokenA, tokenB, parseEther("50")],
+      ];
+
+      let k = (await simpleSwap.reserve_A()) * (await simpleSwap.reserve_B());
+
+      for (const [tokenIn, tokenOut, amountIn] of swaps) {
+        await simpleSwap.connect(user1).swapExactTokensForTokens(
+          amountIn,
+          0,
+          [tokenIn.target, tokenOut.target],
+          user1.address,
+          deadline
+        );
+
+        const newK = (await simpleSwap.reserve_A()) * (await simpleSwap.reserve_B());
+        expect(newK).to.be.gt(k);
+        k = newK;
+      }
+    });
+
+    it("Should increase LQP redemption value after swapping back and forth", async () => {
+      const liquidity = await simpleSwap.balanceOf(owner.address);
+
+      for (let i = 0; i < 3; i++) {
+        const tx = await simpleSwap.connect(user1).swapExactTokensForTokens(
+          parseEther("10"),
+          0,
+          [tokenA.target, tokenB.target],
+          user1.address,
+          deadline
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => log.fragment?.name === "TokensSwapped");
+
+        await simpleSwap.connect(user1).swapExactTokensForTokens(
+          event.args.amountOut,
+          0,
+          [tokenB.target, tokenA.target],
+          user1.address,
+          deadline
+        );
+      }
+
+      await simpleSwap.removeLiquidity(
+        tokenA.target,
+        tokenB.target,
+        liquidity,
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+
+      // Owner started with 1000 of each token and deposited 100 A / 200 B;
+      // user1 got 100 of each, so the owner's remaining balances before removal were 800 A / 700 B.
+      // The owner redeems everything but the locked MINIMUM_LIQUIDITY share.
+      expect(await tokenA.balanceOf(owner.address)).to.be.gt(parseEther("900"));
+      expect(await tokenB.balanceOf(owner.address)).to.be.closeTo(parseEther("900"), 10000n);
+    });
+  });
+
+  describe("permit", function() {
+    async function signPermit(signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await signer.signTypedData(
+        { name: await simpleSwap.name(), version: "1", chainId, verifyingContract: simpleSwap.target },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: signer.address, spender, value, nonce: await simpleSwap.nonces(signer.address), deadline }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should expose the EIP-712 domain of the LQP token", async () => {
+      const domain = await simpleSwap.eip712Domain();
+      expect(domain.name).to.equal("LIQUIDITY_POOL");
+      expect(domain.version).to.equal("1");
+      expect(domain.verifyingContract).to.equal(simpleSwap.target);
+    });
+
+    it("Should approve LQP tokens with a signature", async () => {
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(owner, user1.address, parseEther("10"), deadline);
+
+      // Anyone can submit the signed permit
+      await simpleSwap.connect(user1).permit(owner.address, user1.address, parseEther("10"), deadline, v, r, s);
+
+      expect(await simpleSwap.allowance(owner.address, user1.address)).to.equal(parseEther("10"));
+      expect(await simpleSwap.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should revert with an expired or replayed permit", async () => {
+      const expired = (await time.latest()) - 10;
+      let sig = await signPermit(owner, user1.address, parseEther("10"), expired);
+      await expect(
+        simpleSwap.permit(owner.address, user1.address, parseEther("10"), expired, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(simpleSwap, "ERC2612ExpiredSignature");
+
+      const deadline = (await time.latest()) + 3600;
+      sig = await signPermit(owner, user1.address, parseEther("10"), deadline);
+      await simpleSwap.permit(owner.address, user1.address, parseEther("10"), deadline, sig.v, sig.r, sig.s);
+      await expect(
+        simpleSwap.permit(owner.address, user1.address, parseEther("10"), deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(simpleSwap, "ERC2612InvalidSigner");
+    });
   });
 
 
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+
+describe("SimpleSwapFactory", function() {
+  let owner, tokenA, tokenB, tokenC, factory;
+
+  beforeEach(async function() {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+    await tokenA.waitForDeployment();
+
+    tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+    await tokenB.waitForDeployment();
+
+    tokenC = await ERC20Mock.deploy("TokenC", "TKC", owner.address, parseEther("1000"));
+    await tokenC.waitForDeployment();
+
+    const SimpleSwapFactory = await ethers.getContractFactory("SimpleSwapFactory");
+    factory = await SimpleSwapFactory.deploy();
+    await factory.waitForDeployment();
+  });
+
+  describe("createPool", function() {
+    it("Should create a pool at the precomputed address and register it", async () => {
+      const expected = await factory.computePoolAddress(tokenA.target, tokenB.target);
+
+      await expect(factory.createPool(tokenA.target, tokenB.target))
+        .to.emit(factory, "PoolCreated");
+
+      expect(await factory.getPool(tokenA.target, tokenB.target)).to.equal(expected);
+      expect(await factory.getPool(tokenB.target, tokenA.target)).to.equal(expected);
+      expect(await factory.allPoolsLength()).to.equal(1);
+      expect(await factory.allPools(0)).to.equal(expected);
+    });
+
+    it("Should sort the pool tokens", async () => {
+      await factory.createPool(tokenB.target, tokenA.target);
+      const [token0, token1] = BigInt(tokenA.target) < BigInt(tokenB.target)
+        ? [tokenA.target, tokenB.target]
+        : [tokenB.target, tokenA.target];
+
+      const pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenA.target, tokenB.target));
+      expect(await pool.token_A()).to.equal(token0);
+      expect(await pool.token_B()).to.equal(token1);
+    });
+
+    it("Should emit PoolCreated with sorted tokens and pool count", async () => {
+      const pool = await factory.computePoolAddress(tokenA.target, tokenB.target);
+      const [token0, token1] = BigInt(tokenA.target) < BigInt(tokenB.target)
+        ? [tokenA.target, tokenB.target]
+        : [tokenB.target, tokenA.target];
+
+      await expect(factory.createPool(tokenB.target, tokenA.target))
+        .to.emit(factory, "PoolCreated")
+        .withArgs(token0, token1, pool, 1);
+    });
+
+    it("Should create one pool per pair", async () => {
+      await factory.createPool(tokenA.target, tokenB.target);
+      await factory.createPool(tokenA.target, tokenC.target);
+      await factory.createPool(tokenB.target, tokenC.target);
+
+      expect(await factory.allPoolsLength()).to.equal(3);
+      expect(await factory.getPool(tokenA.target, tokenC.target)).to.not.equal(ethers.ZeroAddress);
+      expect(await factory.getPool(tokenA.target, tokenC.target)).to.not.equal(await factory.getPool(tokenB.target, tokenC.target));
+    });
+
+    it("Should revert on duplicated pool, in any token order", async () => {
+      await factory.createPool(tokenA.target, tokenB.target);
+      const pool = await factory.getPool(tokenA.target, tokenB.target);
+
+      await expect(factory.createPool(tokenA.target, tokenB.target)).to.be.revertedWithCustomError(factory, "PoolExists").withArgs(pool);
+      await expect(factory.createPool(tokenB.target, tokenA.target)).to.be.revertedWithCustomError(factory, "PoolExists").withArgs(pool);
+    });
+
+    it("Should revert with same tokens", async () => {
+      await expect(factory.createPool(tokenA.target, tokenA.target)).to.be.revertedWithCustomError(factory, "IdenticalTokens").withArgs(tokenA.target);
+    });
+
+    it("Should revert with zero address token", async () => {
+      await expect(factory.createPool(ethers.ZeroAddress, tokenA.target)).to.be.revertedWithCustomError(factory, "ZeroAddressToken");
+    });
+
+    it("Should create a working pool", async () => {
+      await factory.createPool(tokenA.target, tokenB.target);
+      const pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenA.target, tokenB.target));
+      const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+      await tokenA.approve(pool.target, parseEther("100"));
+      await tokenB.approve(pool.target, parseEther("100"));
+      await pool.addLiquidity(
+        tokenA.target,
+        tokenB.target,
+        parseEther("100"),
+        parseEther("100"),
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+
+      expect(await pool.balanceOf(owner.address)).to.equal(parseEther("100") - (await pool.MINIMUM_LIQUIDITY()));
+    });
+  });
+
+  describe("getPool", function() {
+    it("Should return zero address for unknown pairs", async () => {
+      expect(await factory.getPool(tokenA.target, tokenB.target)).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { restoreChainAfterSuite } = require("./helpers/chain");
+
+describe("SimpleSwapOracle", function() {
+  let owner, tokenA, tokenB, simpleSwap, oracle;
+  const MIN_PERIOD = 60;
+
+  restoreChainAfterSuite();
+
+  async function blockTimestamp(tx) {
+    const receipt = await tx.wait();
+    return BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+  }
+
+  async function swapAForB(amountIn) {
+    await tokenA.approve(simpleSwap.target, amountIn);
+    return simpleSwap.swapExactTokensForTokens(
+      amountIn,
+      0,
+      [tokenA.target, tokenB.target],
+      owner.address,
+      (await time.latest()) + 3600
+    );
+  }
+
+  async function spotPriceA() {
+    return ((await simpleSwap.reserve_B()) * parseEther("1")) / (await simpleSwap.reserve_A());
+  }
+
+  beforeEach(async function() {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+    await tokenA.waitForDeployment();
+
+    tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+    await tokenB.waitForDeployment();
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    simpleSwap = await SimpleSwap.deploy(tokenA.target, tokenB.target);
+    await simpleSwap.waitForDeployment();
+
+    await tokenA.approve(simpleSwap.target, parseEther("100"));
+    await tokenB.approve(simpleSwap.target, parseEther("200"));
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      parseEther("100"),
+      parseEther("200"),
+      0,
+      0,
+      owner.address,
+      (await time.latest()) + 3600
+    );
+
+    const SimpleSwapOracle = await ethers.getContractFactory("SimpleSwapOracle");
+    oracle = await SimpleSwapOracle.deploy(simpleSwap.target, MIN_PERIOD);
+    await oracle.waitForDeployment();
+  });
+
+  describe("Deployment", function() {
+    it("Should deploy with correct pool and period", async () => {
+      expect(await oracle.pool()).to.equal(simpleSwap.target);
+      expect(await oracle.minPeriod()).to.equal(MIN_PERIOD);
+    });
+
+    it("Should revert with zero pool address", async () => {
+      const SimpleSwapOracle = await ethers.getContractFactory("SimpleSwapOracle");
+      await expect(SimpleSwapOracle.deploy(ethers.ZeroAddress, MIN_PERIOD)).to.be.revertedWith("Invalid pool address");
+    });
+  });
+
+  describe("update", function() {
+    it("Should record an observation and emit ObservationRecorded", async () => {
+      await expect(oracle.update()).to.emit(oracle, "ObservationRecorded");
+      expect(await oracle.observationsLength()).to.equal(1);
+    });
+
+    it("Should skip observations closer than minPeriod", async () => {
+      await oracle.update();
+      await time.increase(MIN_PERIOD / 2);
+      await oracle.update();
+      expect(await oracle.observationsLength()).to.equal(1);
+
+      await time.increase(MIN_PERIOD);
+      await oracle.update();
+      expect(await oracle.observationsLength()).to.equal(2);
+    });
+  });
+
+  describe("currentCumulativePrices", function() {
+    it("Should extrapolate the pool accumulators to the current block", async () => {
+      await time.increase(100);
+      await ethers.provider.send("evm_mine", []);
+
+      const elapsed = BigInt(await time.latest()) - (await simpleSwap.blockTimestampLast());
+      const [priceACumulative, priceBCumulative] = await oracle.currentCumulativePrices();
+
+      expect(priceACumulative).to.equal(parseEther("2") * elapsed);
+      expect(priceBCumulative).to.equal(parseEther("0.5") * elapsed);
+    });
+  });
+
+  describe("consult", function() {
+    it("Should return the spot price when the price did not move", async () => {
+      await oracle.update();
+      await time.increase(3600);
+
+      const [price, elapsed] = await oracle.consult(tokenA.target, 1800);
+      expect(price).to.equal(parseEther("2"));
+      expect(elapsed).to.be.gte(1800);
+
+      const [priceB] = await oracle.consult(tokenB.target, 1800);
+      expect(priceB).to.equal(parseEther("0.5"));
+    });
+
+    it("Should weight each price by the time it lasted", async () => {
+      const start = await blockTimestamp(await oracle.update());
+      const firstPrice = await spotPriceA();
+
+      await time.increase(299);
+      const swapTime = await blockTimestamp(await swapAForB(parseEther("50")));
+      const secondPrice = await spotPriceA();
+
+      await time.increase(899);
+      await ethers.provider.send("evm_mine", []);
+      const now = BigInt(await time.latest());
+
+      const [price, elapsed] = await oracle.consult(tokenA.target, now - start);
+      const expected = (firstPrice * (swapTime - start) + secondPrice * (now - swapTime)) / (now - start);
+
+      expect(elapsed).to.equal(now - start);
+      expect(price).to.equal(expected);
+      expect(price).to.be.lt(firstPrice);
+      expect(price).to.be.gt(secondPrice);
+    });
+
+    it("Should resist a single block price manipulation", async () => {
+      await oracle.update();
+      await time.increase(3600);
+
+      // Large swap that moves the spot price a lot right before consulting
+      await swapAForB(parseEther("400"));
+      expect(await spotPriceA()).to.be.lt(parseEther("0.2"));
+
+      const [price] = await oracle.consult(tokenA.target, 3600);
+      expect(price).to.be.closeTo(parseEther("2"), parseEther("0.01"));
+    });
+
+    it("Should use the newest observation old enough for the window", async () => {
+      await oracle.update();
+      await time.increase(600);
+      await swapAForB(parseEther("50"));
+      const middle = await blockTimestamp(await oracle.update());
+      await time.increase(600);
+
+      const now = BigInt(await time.latest());
+      const [, elapsed] = await oracle.consult(tokenA.target, 300);
+      expect(elapsed).to.equal(now - middle);
+    });
+
+    it("Should revert if there is no observation old enough", async () => {
+      await oracle.update();
+      await time.increase(100);
+
+      await expect(oracle.consult(tokenA.target, 3600)).to.be.revertedWith("Missing historical observation");
+    });
+
+    it("Should revert without observations", async () => {
+      await expect(oracle.consult(tokenA.target, 60)).to.be.revertedWith("Missing historical observation");
+    });
+
+    it("Should revert on invalid token or window", async () => {
+      await oracle.update();
+      await time.increase(100);
+
+      await expect(oracle.consult(owner.address, 60)).to.be.revertedWith("Invalid tokens");
+      await expect(oracle.consult(tokenA.target, 0)).to.be.revertedWith("Invalid window");
+    });
+  });
+});
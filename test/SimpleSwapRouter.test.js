@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("SimpleSwapRouter", function() {
+  let owner, user1, tokenA, tokenB, tokenC, tokenD, factory, router, deadline;
+
+  async function createPoolWithLiquidity(tokenX, tokenY, amountX, amountY) {
+    await factory.createPool(tokenX.target, tokenY.target);
+    const pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenX.target, tokenY.target));
+
+    await tokenX.connect(owner).approve(pool.target, amountX);
+    await tokenY.connect(owner).approve(pool.target, amountY);
+
+    // addLiquidity amounts follow the pool's token_A/token_B order, which the factory sorts by address
+    if ((await pool.token_A()) === tokenX.target) {
+      await pool.addLiquidity(tokenX.target, tokenY.target, amountX, amountY, 0, 0, owner.address, deadline);
+    } else {
+      await pool.addLiquidity(tokenY.target, tokenX.target, amountY, amountX, 0, 0, owner.address, deadline);
+    }
+
+    return pool;
+  }
+
+  async function signPermit(token, signer, spender, value, permitDeadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await signer.signTypedData(
+      { name: await token.name(), version: "1", chainId, verifyingContract: token.target },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner: signer.address, spender, value, nonce: await token.nonces(signer.address), deadline: permitDeadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  beforeEach(async function() {
+    [owner, user1] = await ethers.getSigners();
+    deadline = Math.floor(Date.now() / 1000) + 3600;
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+    tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+    tokenC = await ERC20Mock.deploy("TokenC", "TKC", owner.address, parseEther("1000"));
+    tokenD = await ERC20Mock.deploy("TokenD", "TKD", owner.address, parseEther("1000"));
+
+    const SimpleSwapFactory = await ethers.getContractFactory("SimpleSwapFactory");
+    factory = await SimpleSwapFactory.deploy();
+    await factory.waitForDeployment();
+
+    const SimpleSwapRouter = await ethers.getContractFactory("SimpleSwapRouter");
+    router = await SimpleSwapRouter.deploy(factory.target);
+    await router.waitForDeployment();
+
+    await createPoolWithLiquidity(tokenA, tokenB, parseEther("100"), parseEther("200"));
+    await createPoolWithLiquidity(tokenB, tokenC, parseEther("200"), parseEther("100"));
+    await createPoolWithLiquidity(tokenC, tokenD, parseEther("100"), parseEther("300"));
+
+    await tokenA.connect(owner).transfer(user1.address, parseEther("100"));
+    await tokenD.connect(owner).transfer(user1.address, parseEther("100"));
+    await tokenA.connect(user1).approve(router.target, ethers.MaxUint256);
+    await tokenD.connect(user1).approve(router.target, ethers.MaxUint256);
+  });
+
+  describe("Deployment", function() {
+    it("Should deploy with correct factory", async () => {
+      expect(await router.factory()).to.equal(factory.target);
+    });
+
+    it("Should revert with zero factory address", async () => {
+      const SimpleSwapRouter = await ethers.getContractFactory("SimpleSwapRouter");
+      await expect(SimpleSwapRouter.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(SimpleSwapRouter, "ZeroAddressFactory");
+    });
+  });
+
+  describe("getAmountsOut", function() {
+    it("Should chain getAmountOut of every pool", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target, tokenD.target];
+      const amounts = await router.getAmountsOut(parseEther("1"), path);
+
+      const poolAB = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenA.target, tokenB.target));
+      const expectedB = await poolAB.getAmountOut(parseEther("1"), parseEther("100"), parseEther("200"));
+      const expectedC = await poolAB.getAmountOut(expectedB, parseEther("200"), parseEther("100"));
+      const expectedD = await poolAB.getAmountOut(expectedC, parseEther("100"), parseEther("300"));
+
+      expect(amounts).to.deep.equal([parseEther("1"), expectedB, expectedC, expectedD]);
+    });
+
+    it("Should revert if path is too short", async () => {
+      await expect(router.getAmountsOut(parseEther("1"), [tokenA.target])).to.be.revertedWithCustomError(router, "InvalidPathLength").withArgs(1);
+    });
+
+    it("Should revert if a hop has no pool", async () => {
+      await expect(
+        router.getAmountsOut(parseEther("1"), [tokenA.target, tokenC.target])
+      ).to.be.revertedWithCustomError(router, "PoolNotFound").withArgs(tokenA.target, tokenC.target);
+    });
+  });
+
+  describe("getAmountsIn", function() {
+    it("Should be consistent with getAmountsOut", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target, tokenD.target];
+      const amountsIn = await router.getAmountsIn(parseEther("5"), path);
+      const amountsOut = await router.getAmountsOut(amountsIn[0], path);
+
+      expect(amountsIn[3]).to.equal(parseEther("5"));
+      expect(amountsOut[3]).to.be.gte(parseEther("5"));
+    });
+
+    it("Should revert if path is too short", async () => {
+      await expect(router.getAmountsIn(parseEther("1"), [tokenA.target])).to.be.revertedWithCustomError(router, "InvalidPathLength").withArgs(1);
+    });
+  });
+
+  describe("swapExactTokensForTokens", function() {
+    it("Should swap along a three hop path", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target, tokenD.target];
+      const amountIn = parseEther("10");
+      const expected = await router.getAmountsOut(amountIn, path);
+
+      const balanceABefore = await tokenA.balanceOf(user1.address);
+      const balanceDBefore = await tokenD.balanceOf(user1.address);
+
+      const amounts = await router.connect(user1).swapExactTokensForTokens.staticCall(amountIn, 0, path, user1.address, deadline);
+      expect(amounts).to.deep.equal(expected);
+
+      await router.connect(user1).swapExactTokensForTokens(amountIn, expected[3], path, user1.address, deadline);
+
+      expect(balanceABefore - (await tokenA.balanceOf(user1.address))).to.equal(amountIn);
+      expect((await tokenD.balanceOf(user1.address)) - balanceDBefore).to.equal(expected[3]);
+
+      // Nothing is left in the router between hops
+      expect(await tokenB.balanceOf(router.target)).to.equal(0);
+      expect(await tokenC.balanceOf(router.target)).to.equal(0);
+    });
+
+    it("Should swap along a path in reverse direction", async () => {
+      const path = [tokenD.target, tokenC.target, tokenB.target];
+      const expected = await router.getAmountsOut(parseEther("3"), path);
+
+      await router.connect(user1).swapExactTokensForTokens(parseEther("3"), 0, path, owner.address, deadline);
+
+      const poolBC = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenB.target, tokenC.target));
+      const [reserveB, reserveC] = (await poolBC.token_A()) === tokenB.target
+        ? [await poolBC.reserve_A(), await poolBC.reserve_B()]
+        : [await poolBC.reserve_B(), await poolBC.reserve_A()];
+
+      expect(reserveC).to.equal(parseEther("100") + expected[1]);
+      expect(reserveB).to.equal(parseEther("200") - expected[2]);
+    });
+
+    it("Should revert if amountOut is less than amountOutMin", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target];
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokens(parseEther("10"), parseEther("100"), path, user1.address, deadline)
+      ).to.be.revertedWithCustomError(router, "InsufficientOutputAmount").withArgs(anyValue, parseEther("100"));
+    });
+
+    it("Should revert if deadline has passed", async () => {
+      const pastDeadline = Math.floor(Date.now() / 1000) - 10;
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokens(parseEther("1"), 0, [tokenA.target, tokenB.target], user1.address, pastDeadline)
+      ).to.be.revertedWithCustomError(router, "Expired").withArgs(pastDeadline, anyValue);
+    });
+
+    it("Should revert if 'to' address is zero", async () => {
+      await expect(
+        router.connect(user1).swapExactTokensForTokens(parseEther("1"), 0, [tokenA.target, tokenB.target], ethers.ZeroAddress, deadline)
+      ).to.be.revertedWithCustomError(router, "InvalidRecipient").withArgs(ethers.ZeroAddress);
+    });
+  });
+
+  describe("swapTokensForExactTokens", function() {
+    it("Should buy an exact amount along a three hop path", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target, tokenD.target];
+      const amountOut = parseEther("5");
+      const expected = await router.getAmountsIn(amountOut, path);
+
+      const balanceABefore = await tokenA.balanceOf(user1.address);
+      const balanceDBefore = await tokenD.balanceOf(user1.address);
+
+      await router.connect(user1).swapTokensForExactTokens(amountOut, expected[0], path, user1.address, deadline);
+
+      expect(balanceABefore - (await tokenA.balanceOf(user1.address))).to.equal(expected[0]);
+      expect((await tokenD.balanceOf(user1.address)) - balanceDBefore).to.equal(amountOut);
+      expect(await tokenB.balanceOf(router.target)).to.equal(0);
+      expect(await tokenC.balanceOf(router.target)).to.equal(0);
+    });
+
+    it("Should revert if amountIn is greater than amountInMax", async () => {
+      const path = [tokenA.target, tokenB.target, tokenC.target];
+
+      await expect(
+        router.connect(user1).swapTokensForExactTokens(parseEther("5"), parseEther("1"), path, user1.address, deadline)
+      ).to.be.revertedWithCustomError(router, "ExcessiveInputAmount").withArgs(anyValue, parseEther("1"));
+    });
+
+    it("Should revert if deadline has passed", async () => {
+      const pastDeadline = Math.floor(Date.now() / 1000) - 10;
+
+      await expect(
+        router.connect(user1).swapTokensForExactTokens(parseEther("1"), parseEther("10"), [tokenA.target, tokenB.target], user1.address, pastDeadline)
+      ).to.be.revertedWithCustomError(router, "Expired").withArgs(pastDeadline, anyValue);
+    });
+  });
+
+  describe("removeLiquidity", function() {
+    let pool;
+
+    beforeEach(async () => {
+      pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(tokenA.target, tokenB.target));
+    });
+
+    it("Should remove liquidity after an approve", async () => {
+      const liquidity = parseEther("10");
+      const balanceABefore = await tokenA.balanceOf(user1.address);
+
+      await pool.approve(router.target, liquidity);
+      await router.removeLiquidity(tokenA.target, tokenB.target, liquidity, 0, 0, user1.address, deadline);
+
+      expect(await pool.balanceOf(router.target)).to.equal(0);
+      expect((await tokenA.balanceOf(user1.address)) - balanceABefore).to.be.gt(0);
+    });
+
+    it("Should remove liquidity with a permit instead of an approve", async () => {
+      const liquidity = parseEther("10");
+      const lpBefore = await pool.balanceOf(owner.address);
+      const totalSupply = await pool.totalSupply();
+      const [reserveA, reserveB] = (await pool.token_A()) === tokenA.target
+        ? [await pool.reserve_A(), await pool.reserve_B()]
+        : [await pool.reserve_B(), await pool.reserve_A()];
+      const expectedA = (liquidity * reserveA) / totalSupply;
+      const expectedB = (liquidity * reserveB) / totalSupply;
+
+      const { v, r, s } = await signPermit(pool, owner, router.target, liquidity, deadline);
+      const balanceABefore = await tokenA.balanceOf(owner.address);
+      const balanceBBefore = await tokenB.balanceOf(owner.address);
+
+      await router.removeLiquidityWithPermit(tokenA.target, tokenB.target, liquidity, 0, 0, owner.address, deadline, v, r, s);
+
+      expect(await pool.balanceOf(owner.address)).to.equal(lpBefore - liquidity);
+      expect(await pool.allowance(owner.address, router.target)).to.equal(0);
+      expect((await tokenA.balanceOf(owner.address)) - balanceABefore).to.equal(expectedA);
+      expect((await tokenB.balanceOf(owner.address)) - balanceBBefore).to.equal(expectedB);
+    });
+
+    it("Should go on if the permit was already used by someone else", async () => {
+      const liquidity = parseEther("10");
+      const { v, r, s } = await signPermit(pool, owner, router.target, liquidity, deadline);
+
+      // Front-run: the signed permit is submitted directly to the pool
+      await pool.connect(user1).permit(owner.address, router.target, liquidity, deadline, v, r, s);
+
+      await expect(
+        router.removeLiquidityWithPermit(tokenA.target, tokenB.target, liquidity, 0, 0, owner.address, deadline, v, r, s)
+      ).to.emit(pool, "LiquidityRemoved");
+    });
+
+    it("Should revert with an invalid permit and no allowance", async () => {
+      const { v, r, s } = await signPermit(pool, user1, router.target, parseEther("10"), deadline);
+
+      await expect(
+        router.removeLiquidityWithPermit(tokenA.target, tokenB.target, parseEther("10"), 0, 0, owner.address, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(router, "PermitFailed").withArgs(pool.target);
+    });
+  });
+
+  describe("swaps with permit", function() {
+    let tokenP;
+
+    beforeEach(async () => {
+      const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+      tokenP = await ERC20PermitMock.deploy("TokenP", "TKP", owner.address, parseEther("1000"));
+      await createPoolWithLiquidity(tokenP, tokenA, parseEther("100"), parseEther("100"));
+      await tokenP.transfer(user1.address, parseEther("100"));
+    });
+
+    it("Should swap an exact input approved by a permit", async () => {
+      const path = [tokenP.target, tokenA.target, tokenB.target];
+      const amountIn = parseEther("10");
+      const expected = await router.getAmountsOut(amountIn, path);
+      const balanceBBefore = await tokenB.balanceOf(user1.address);
+
+      const { v, r, s } = await signPermit(tokenP, user1, router.target, amountIn, deadline);
+      await router.connect(user1).swapExactTokensForTokensWithPermit(amountIn, expected[2], path, user1.address, deadline, v, r, s);
+
+      expect(await tokenP.balanceOf(user1.address)).to.equal(parseEther("90"));
+      expect((await tokenB.balanceOf(user1.address)) - balanceBBefore).to.equal(expected[2]);
+      expect(await tokenP.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should buy an exact output approving amountInMax with a permit", async () => {
+      const path = [tokenP.target, tokenA.target];
+      const amountOut = parseEther("5");
+      const expected = await router.getAmountsIn(amountOut, path);
+      const amountInMax = expected[0] + parseEther("1");
+
+      const { v, r, s } = await signPermit(tokenP, user1, router.target, amountInMax, deadline);
+      await router.connect(user1).swapTokensForExactTokensWithPermit(amountOut, amountInMax, path, user1.address, deadline, v, r, s);
+
+      expect(await tokenP.balanceOf(user1.address)).to.equal(parseEther("100") - expected[0]);
+      // The unused part of the permit is left as allowance
+      expect(await tokenP.allowance(user1.address, router.target)).to.equal(amountInMax - expected[0]);
+    });
+
+    it("Should use an existing allowance for tokens without permit", async () => {
+      const path = [tokenA.target, tokenB.target];
+      const expected = await router.getAmountsOut(parseEther("1"), path);
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokensWithPermit(parseEther("1"), expected[1], path, user1.address, deadline, 0, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.not.be.reverted;
+    });
+
+    it("Should revert for tokens without permit and no allowance", async () => {
+      await tokenA.connect(user1).approve(router.target, 0);
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokensWithPermit(parseEther("1"), 0, [tokenA.target, tokenB.target], user1.address, deadline, 0, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(router, "PermitFailed").withArgs(tokenA.target);
+    });
+  });
+});
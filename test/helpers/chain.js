@@ -0,0 +1,17 @@
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Snapshots the chain before the calling suite and restores it after, so a suite that moves the clock
+// forward (time.increase) leaves it where it was: most suites take their deadlines from Date.now().
+function restoreChainAfterSuite() {
+  let snapshot;
+
+  before(async () => {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async () => {
+    await snapshot.restore();
+  });
+}
+
+module.exports = { restoreChainAfterSuite };
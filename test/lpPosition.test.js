@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const LpPosition = require("../docs/lpPosition");
+
+describe("lpPosition", function() {
+  const add = (blockNumber, amountA, amountB, liquidity) =>
+    ({ type: "add", blockNumber, logIndex: 0, amountA, amountB, liquidity });
+  const remove = (blockNumber, amountA, amountB, liquidity) =>
+    ({ type: "remove", blockNumber, logIndex: 0, amountA, amountB, liquidity });
+
+  describe("sqrt", function() {
+    it("Should round down", () => {
+      expect(LpPosition.sqrt(0n)).to.equal(0n);
+      expect(LpPosition.sqrt(1n)).to.equal(1n);
+      expect(LpPosition.sqrt(15n)).to.equal(3n);
+      expect(LpPosition.sqrt(16n)).to.equal(4n);
+      expect(LpPosition.sqrt(parseEther("100") * parseEther("200"))).to.equal(141421356237309504880n);
+    });
+  });
+
+  describe("underlyingAmounts", function() {
+    it("Should redeem the share of the reserves", () => {
+      expect(LpPosition.underlyingAmounts(25n, 100n, 400n, 1000n)).to.deep.equal({ amountA: 100n, amountB: 250n });
+      expect(LpPosition.shareBps(25n, 100n)).to.equal(2500);
+    });
+
+    it("Should return nothing for an empty pool", () => {
+      expect(LpPosition.underlyingAmounts(0n, 0n, 0n, 0n)).to.deep.equal({ amountA: 0n, amountB: 0n });
+      expect(LpPosition.shareBps(0n, 0n)).to.equal(0);
+    });
+  });
+
+  describe("depositBasis", function() {
+    it("Should add up the deposits", () => {
+      const basis = LpPosition.depositBasis([add(1, 100n, 400n, 200n), add(2, 50n, 200n, 100n)], 300n);
+
+      expect(basis).to.deep.equal({ amountA: 150n, amountB: 600n, value: 1200n, invariant: 300n, scaled: false });
+    });
+
+    it("Should take the share of a removal from the deposits", () => {
+      const basis = LpPosition.depositBasis([remove(3, 1n, 1n, 150n), add(1, 100n, 400n, 200n), add(2, 50n, 200n, 100n)], 150n);
+
+      expect(basis).to.deep.equal({ amountA: 75n, amountB: 300n, value: 600n, invariant: 150n, scaled: false });
+    });
+
+    it("Should start again after the position is closed", () => {
+      const basis = LpPosition.depositBasis([add(1, 100n, 400n, 200n), remove(2, 100n, 400n, 200n), add(3, 10n, 10n, 10n)], 10n);
+
+      expect(basis.amountA).to.equal(10n);
+      expect(basis.value).to.equal(20n);
+    });
+
+    it("Should scale the basis to the balance", () => {
+      const basis = LpPosition.depositBasis([add(1, 100n, 400n, 200n)], 100n);
+
+      expect(basis).to.deep.equal({ amountA: 50n, amountB: 200n, value: 400n, invariant: 100n, scaled: true });
+    });
+
+    it("Should return null without deposits", () => {
+      expect(LpPosition.depositBasis([], 100n)).to.equal(null);
+      expect(LpPosition.depositBasis([add(1, 100n, 400n, 200n)], 0n)).to.equal(null);
+    });
+  });
+
+  describe("positionReport", function() {
+    it("Should show no loss and no fees at the deposit price", () => {
+      const basis = LpPosition.depositBasis([add(1, 100n, 400n, 200n)], 200n);
+      const report = LpPosition.positionReport(200n, 400n, 200n, 800n, basis);
+
+      expect(report).to.deep.equal({
+        amountA: 100n,
+        amountB: 400n,
+        shareBps: 5000,
+        value: 800n,
+        depositValue: 800n,
+        holdValue: 800n,
+        fees: 0n,
+        profit: 0n,
+        impermanentLossBps: 0
+      });
+    });
+
+    it("Should compute the impermanent loss of a price change", () => {
+      const basis = LpPosition.depositBasis([add(1, parseEther("100"), parseEther("100"), parseEther("100"))], parseEther("100"));
+      // Price of A x4 with the same invariant
+      const report = LpPosition.positionReport(parseEther("100"), parseEther("100"), parseEther("50"), parseEther("200"), basis);
+
+      expect(report.value).to.equal(parseEther("400"));
+      expect(report.holdValue).to.equal(parseEther("500"));
+      expect(report.fees).to.equal(0n);
+      expect(report.impermanentLossBps).to.equal(-2000);
+    });
+
+    it("Should count the growth of the invariant as fees", () => {
+      const basis = LpPosition.depositBasis([add(1, parseEther("100"), parseEther("100"), parseEther("100"))], parseEther("100"));
+      const report = LpPosition.positionReport(parseEther("100"), parseEther("100"), parseEther("110"), parseEther("110"), basis);
+
+      expect(report.value).to.equal(parseEther("220"));
+      expect(report.fees).to.equal(parseEther("20"));
+      expect(report.impermanentLossBps).to.equal(0);
+      expect(report.profit).to.equal(parseEther("20"));
+    });
+
+    it("Should only report the position without a deposit basis", () => {
+      const report = LpPosition.positionReport(100n, 400n, 200n, 800n, null);
+
+      expect(report).to.deep.equal({ amountA: 50n, amountB: 200n, shareBps: 2500, value: 400n });
+    });
+  });
+
+  describe("pool position", function() {
+    let owner, user1, tokenA, tokenB, simpleSwap, deadline;
+
+    beforeEach(async function() {
+      [owner, user1] = await ethers.getSigners();
+
+      const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+      tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+      tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+
+      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+      simpleSwap = await SimpleSwap.deploy(tokenA.target, tokenB.target);
+      await simpleSwap.waitForDeployment();
+
+      await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenA.transfer(user1.address, parseEther("300"));
+      await tokenB.transfer(user1.address, parseEther("300"));
+      await tokenA.connect(user1).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(user1).approve(simpleSwap.target, ethers.MaxUint256);
+      deadline = (await time.latest()) + 3600;
+    });
+
+    // Same conversion as the DApp, from the decoded logs of the pool
+    async function positionEvents(account) {
+      const logs = [
+        ...(await simpleSwap.queryFilter(simpleSwap.filters.LiquidityAdded(account))),
+        ...(await simpleSwap.queryFilter(simpleSwap.filters.LiquidityRemoved(account)))
+      ];
+      return logs.map(log => ({
+        type: log.eventName === "LiquidityAdded" ? "add" : "remove",
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        amountA: log.args.amountA,
+        amountB: log.args.amountB,
+        liquidity: log.args.liquidity
+      }));
+    }
+
+    async function report(account) {
+      const balance = await simpleSwap.balanceOf(account);
+      const basis = LpPosition.depositBasis(await positionEvents(account), balance);
+      return LpPosition.positionReport(
+        balance,
+        await simpleSwap.totalSupply(),
+        await simpleSwap.reserve_A(),
+        await simpleSwap.reserve_B(),
+        basis
+      );
+    }
+
+    it("Should earn fees and lose against holding when the price moves", async () => {
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("200"), 0, 0, owner.address, deadline);
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("50"), parseEther("100"), 0, 0, owner.address, deadline);
+
+      for (let i = 0; i < 5; i++) {
+        await simpleSwap.connect(user1).swapExactTokensForTokens(parseEther("20"), 0, [tokenA.target, tokenB.target], user1.address, deadline);
+      }
+
+      const position = await report(owner.address);
+
+      expect(position.depositValue).to.equal(parseEther("600"));
+      expect(position.fees).to.be.gt(0n);
+      expect(position.impermanentLossBps).to.be.lt(0);
+      // The position is worth what the pool holds, less the locked minimum liquidity
+      expect(position.amountA).to.be.closeTo(await simpleSwap.reserve_A(), 2000n);
+      expect(position.value).to.be.lt(position.holdValue);
+    });
+
+    it("Should keep the basis of the remaining liquidity after a removal", async () => {
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("200"), 0, 0, owner.address, deadline);
+      await simpleSwap.connect(user1).addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("200"), 0, 0, user1.address, deadline);
+
+      const liquidity = await simpleSwap.balanceOf(user1.address);
+      await simpleSwap.connect(user1).removeLiquidity(tokenA.target, tokenB.target, liquidity / 4n, 0, 0, user1.address, deadline);
+
+      const position = await report(user1.address);
+
+      expect(position.depositValue).to.be.closeTo(parseEther("300"), 10n);
+      expect(position.profit).to.be.closeTo(0n, 10n);
+      expect(position.fees).to.be.closeTo(0n, 10n);
+      expect(position.shareBps).to.equal(4285);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const { expect } = require("chai");
+const PoolEvents = require("../docs/poolEvents");
+
+describe("poolEvents", function() {
+  const event = (blockNumber, logIndex) => ({ blockNumber, logIndex });
+
+  it("Should order events by block, then by log index", () => {
+    const events = [event(8, 0), event(7, 3), event(7, 1)];
+
+    expect(PoolEvents.sortEvents(events)).to.deep.equal([event(7, 1), event(7, 3), event(8, 0)]);
+  });
+
+  it("Should leave the given list untouched", () => {
+    const events = [event(8, 0), event(7, 1)];
+
+    PoolEvents.sortEvents(events);
+
+    expect(events).to.deep.equal([event(8, 0), event(7, 1)]);
+  });
+});
@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseEther } = require("ethers");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const PriceHistory = require("../docs/priceHistory");
+
+describe("priceHistory", function() {
+  const swap = (blockNumber, timestamp, aToB, amountIn, amountOut) =>
+    ({ blockNumber, logIndex: 0, timestamp, type: "swap", aToB, amountIn, amountOut });
+  const add = (blockNumber, timestamp, amountA, amountB) =>
+    ({ blockNumber, logIndex: 0, timestamp, type: "add", amountA, amountB });
+  const remove = (blockNumber, timestamp, amountA, amountB) =>
+    ({ blockNumber, logIndex: 0, timestamp, type: "remove", amountA, amountB });
+
+  describe("buildReserveHistory", function() {
+    it("Should replay the events backwards from the current reserves", () => {
+      const events = [
+        swap(3, 300, true, 10n, 18n),
+        add(1, 100, 100n, 200n),
+        remove(4, 400, 11n, 18n),
+        swap(2, 200, false, 20n, 9n)
+      ];
+
+      const points = PriceHistory.buildReserveHistory(events, 90n, 184n);
+
+      expect(points.map(point => point.blockNumber)).to.deep.equal([1, 2, 3, 4]);
+      expect(points.map(point => [point.reserveA, point.reserveB])).to.deep.equal([
+        [100n, 200n],
+        [91n, 220n],
+        [101n, 202n],
+        [90n, 184n]
+      ]);
+    });
+
+    it("Should add the reserves before the first event as start point", () => {
+      const points = PriceHistory.buildReserveHistory(
+        [add(5, 500, 100n, 200n)],
+        100n,
+        200n,
+        { blockNumber: 3, timestamp: 300 }
+      );
+
+      expect(points[0]).to.deep.equal({ blockNumber: 3, logIndex: -1, timestamp: 300, reserveA: 0n, reserveB: 0n });
+      expect(points).to.have.length(2);
+    });
+
+    it("Should include flash swaps", () => {
+      const flash = { blockNumber: 2, logIndex: 0, timestamp: 200, type: "flash", amountAOut: 10n, amountBOut: 0n, amountAIn: 11n, amountBIn: 0n };
+      const points = PriceHistory.buildReserveHistory([add(1, 100, 100n, 200n), flash], 101n, 200n);
+
+      expect(points[0].reserveA).to.equal(100n);
+    });
+
+    it("Should order events of the same block by log index", () => {
+      const first = { ...add(1, 100, 100n, 200n), logIndex: 3 };
+      const second = { ...swap(1, 100, true, 10n, 18n), logIndex: 7 };
+
+      const points = PriceHistory.buildReserveHistory([second, first], 110n, 182n);
+
+      expect(points.map(point => point.logIndex)).to.deep.equal([3, 7]);
+      expect(points[0].reserveA).to.equal(100n);
+    });
+
+    it("Should revert on unknown events", () => {
+      expect(() => PriceHistory.buildReserveHistory([{ blockNumber: 1, logIndex: 0, type: "sync" }], 1n, 1n))
+        .to.throw("Unknown event type sync");
+    });
+  });
+
+  describe("priceOf", function() {
+    it("Should return the price of token A in token B", () => {
+      expect(PriceHistory.priceOf(100n, 250n)).to.equal(2.5);
+      expect(PriceHistory.priceOf(parseEther("3"), parseEther("1"))).to.be.closeTo(1 / 3, 1e-15);
+    });
+
+    it("Should return null for an empty pool", () => {
+      expect(PriceHistory.priceOf(0n, 0n)).to.equal(null);
+      expect(PriceHistory.priceOf(100n, 0n)).to.equal(null);
+    });
+  });
+
+  describe("buildCandles", function() {
+    const point = (blockNumber, timestamp, reserveA, reserveB) => ({ blockNumber, logIndex: 0, timestamp, reserveA, reserveB });
+
+    it("Should build open, high, low and close per interval", () => {
+      const points = [
+        point(1, 100, 100n, 100n),
+        point(2, 110, 100n, 300n),
+        point(3, 120, 100n, 50n),
+        point(4, 130, 100n, 200n),
+        point(5, 165, 100n, 400n)
+      ];
+
+      const candles = PriceHistory.buildCandles(points, 100, 180, 60);
+
+      expect(candles).to.deep.equal([
+        { time: 100, open: 1, high: 3, low: 0.5, close: 2 },
+        { time: 160, open: 2, high: 4, low: 2, close: 4 }
+      ]);
+    });
+
+    it("Should open the range at the last price before it and fill empty intervals", () => {
+      const points = [point(1, 10, 100n, 200n), point(2, 250, 100n, 300n)];
+
+      const candles = PriceHistory.buildCandles(points, 100, 300, 50);
+
+      expect(candles.map(candle => candle.time)).to.deep.equal([100, 150, 200, 250]);
+      expect(candles.slice(0, 3).every(candle => candle.open === 2 && candle.close === 2)).to.equal(true);
+      expect(candles[3]).to.deep.equal({ time: 250, open: 2, high: 3, low: 2, close: 3 });
+    });
+
+    it("Should skip intervals before the first price", () => {
+      const points = [point(1, 90, 0n, 0n), point(2, 170, 100n, 100n)];
+
+      const candles = PriceHistory.buildCandles(points, 100, 200, 50);
+
+      expect(candles).to.deep.equal([{ time: 150, open: 1, high: 1, low: 1, close: 1 }]);
+    });
+
+    it("Should return no candles without points", () => {
+      expect(PriceHistory.buildCandles([], 0, 3600, 60)).to.deep.equal([]);
+    });
+  });
+
+  describe("cache", function() {
+    it("Should merge events without duplicates", () => {
+      const merged = PriceHistory.mergeEvents(
+        [add(2, 200, 1n, 1n), swap(1, 100, true, 1n, 1n)],
+        [add(2, 200, 1n, 1n), remove(3, 300, 1n, 1n)]
+      );
+
+      expect(merged.map(event => event.blockNumber)).to.deep.equal([1, 2, 3]);
+    });
+
+    it("Should serialize BigInt amounts", () => {
+      const cache = {
+        fromBlock: 1,
+        toBlock: 3,
+        toBlockHash: "0x01",
+        events: [swap(1, 100, true, parseEther("1"), 5n), add(2, 200, 7n, 8n)]
+      };
+
+      expect(PriceHistory.deserializeCache(PriceHistory.serializeCache(cache))).to.deep.equal(cache);
+    });
+
+    it("Should reject a cache from another chain", () => {
+      const cache = { fromBlock: 1, toBlock: 10, toBlockHash: "0xaa", events: [] };
+
+      expect(PriceHistory.isCacheValid(cache, 12, "0xaa")).to.equal(true);
+      expect(PriceHistory.isCacheValid(cache, 12, "0xbb")).to.equal(false);
+      // Restarted local node
+      expect(PriceHistory.isCacheValid(cache, 5, null)).to.equal(false);
+      expect(PriceHistory.isCacheValid(null, 12, "0xaa")).to.equal(false);
+    });
+  });
+
+  describe("pool events", function() {
+    let owner, user1, tokenA, tokenB, simpleSwap;
+
+    beforeEach(async function() {
+      [owner, user1] = await ethers.getSigners();
+
+      const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+      tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+      tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+
+      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+      simpleSwap = await SimpleSwap.deploy(tokenA.target, tokenB.target);
+      await simpleSwap.waitForDeployment();
+
+      await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    });
+
+    // Same conversion as the DApp, from the decoded logs of the pool
+    async function historyEvents(fromBlock) {
+      const logs = [];
+      for (const eventName of ["TokensSwapped", "LiquidityAdded", "LiquidityRemoved", "FlashSwapped"]) {
+        logs.push(...(await simpleSwap.queryFilter(simpleSwap.filters[eventName](), fromBlock)));
+      }
+
+      return Promise.all(logs.map(async log => {
+        const { args } = log;
+        const base = { blockNumber: log.blockNumber, logIndex: log.index, timestamp: (await log.getBlock()).timestamp };
+        switch (log.eventName) {
+          case "TokensSwapped":
+            return { ...base, type: "swap", aToB: args.tokenIn === tokenA.target, amountIn: args.amountIn, amountOut: args.amountOut };
+          case "LiquidityAdded":
+            return { ...base, type: "add", amountA: args.amountA, amountB: args.amountB };
+          case "LiquidityRemoved":
+            return { ...base, type: "remove", amountA: args.amountA, amountB: args.amountB };
+          default:
+            return { ...base, type: "flash", amountAOut: args.amountAOut, amountBOut: args.amountBOut, amountAIn: args.amountAIn, amountBIn: args.amountBIn };
+        }
+      }));
+    }
+
+    it("Should match the reserves of the pool after every event", async () => {
+      const fromBlock = await ethers.provider.getBlockNumber();
+      const deadline = (await time.latest()) + 3600;
+
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("200"), 0, 0, owner.address, deadline);
+      await simpleSwap.swapExactTokensForTokens(parseEther("10"), 0, [tokenA.target, tokenB.target], user1.address, deadline);
+      await simpleSwap.swapTokensForExactTokens(parseEther("5"), parseEther("100"), [tokenB.target, tokenA.target], user1.address, deadline);
+
+      const FlashBorrowerMock = await ethers.getContractFactory("FlashBorrowerMock");
+      const borrower = await FlashBorrowerMock.deploy(simpleSwap.target);
+      await tokenA.transfer(borrower.target, parseEther("10"));
+      await borrower.borrow(parseEther("20"), 0, (parseEther("20") * 1000n) / 997n + 1n, 0, false);
+
+      await simpleSwap.removeLiquidity(tokenA.target, tokenB.target, parseEther("50"), 0, 0, owner.address, deadline);
+
+      const events = await historyEvents(fromBlock);
+      const points = PriceHistory.buildReserveHistory(
+        events,
+        await simpleSwap.reserve_A(),
+        await simpleSwap.reserve_B(),
+        { blockNumber: fromBlock, timestamp: (await ethers.provider.getBlock(fromBlock)).timestamp }
+      );
+
+      expect(points).to.have.length(6);
+      expect(points[0].reserveA).to.equal(0n);
+      expect(points[0].reserveB).to.equal(0n);
+      for (const point of points.slice(1)) {
+        expect(point.reserveA).to.equal(await simpleSwap.reserve_A({ blockTag: point.blockNumber }));
+        expect(point.reserveB).to.equal(await simpleSwap.reserve_B({ blockTag: point.blockNumber }));
+      }
+    });
+
+    it("Should replay a removal with the tokens in reverse order", async () => {
+      const deadline = (await time.latest()) + 3600;
+      await simpleSwap.addLiquidity(tokenA.target, tokenB.target, parseEther("100"), parseEther("200"), 0, 0, owner.address, deadline);
+      const fromBlock = await ethers.provider.getBlockNumber();
+
+      await simpleSwap.removeLiquidity(tokenB.target, tokenA.target, parseEther("50"), 0, 0, owner.address, deadline);
+
+      const points = PriceHistory.buildReserveHistory(
+        await historyEvents(fromBlock + 1),
+        await simpleSwap.reserve_A(),
+        await simpleSwap.reserve_B(),
+        { blockNumber: fromBlock, timestamp: 0 }
+      );
+
+      expect(points).to.have.length(2);
+      expect(points[0].reserveA).to.equal(parseEther("100"));
+      expect(points[0].reserveB).to.equal(parseEther("200"));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { parseEther } = require("ethers");
+
+describe("pool tasks", function() {
+  let owner, tokenA, tokenB, simpleSwap;
+
+  // Runs a task without printing its output
+  async function run(name, args) {
+    const original = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, { pool: simpleSwap.target, ...args });
+    } finally {
+      console.log = original;
+    }
+  }
+
+  beforeEach(async function() {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("TokenA", "TKA", owner.address, parseEther("1000"));
+    tokenB = await ERC20Mock.deploy("TokenB", "TKB", owner.address, parseEther("1000"));
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    simpleSwap = await SimpleSwap.deploy(tokenA.target, tokenB.target);
+    await simpleSwap.waitForDeployment();
+  });
+
+  it("Should add liquidity approving both tokens", async () => {
+    await run("pool:add-liquidity", { amountA: "100", amountB: "200" });
+
+    expect(await simpleSwap.reserve_A()).to.equal(parseEther("100"));
+    expect(await simpleSwap.reserve_B()).to.equal(parseEther("200"));
+    expect(await simpleSwap.balanceOf(owner.address)).to.be.gt(0);
+  });
+
+  describe("with liquidity", function() {
+    beforeEach(async () => {
+      await run("pool:add-liquidity", { amountA: "100", amountB: "200" });
+    });
+
+    it("Should swap an exact input, by token symbol or letter", async () => {
+      const expected = await simpleSwap.getAmountOut(parseEther("10"), parseEther("100"), parseEther("200"));
+      const balanceBBefore = await tokenB.balanceOf(owner.address);
+
+      await run("pool:swap", { amount: "10", tokenIn: "TKA" });
+
+      expect((await tokenB.balanceOf(owner.address)) - balanceBBefore).to.equal(expected);
+
+      await run("pool:swap", { amount: "1", tokenIn: "b" });
+      expect(await simpleSwap.reserve_B()).to.equal(parseEther("200") - expected + parseEther("1"));
+    });
+
+    it("Should buy an exact output", async () => {
+      const balanceABefore = await tokenA.balanceOf(owner.address);
+
+      await run("pool:swap", { amount: "5", tokenIn: "B", exactOut: true });
+
+      expect((await tokenA.balanceOf(owner.address)) - balanceABefore).to.equal(parseEther("5"));
+    });
+
+    it("Should remove a percentage of the LQP balance", async () => {
+      const balance = await simpleSwap.balanceOf(owner.address);
+
+      await run("pool:remove-liquidity", { percent: 50 });
+
+      expect(await simpleSwap.balanceOf(owner.address)).to.equal(balance - balance / 2n);
+    });
+
+    it("Should print info and quotes without sending transactions", async () => {
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      await run("pool:info", {});
+      await run("pool:quote", { amount: "10", tokenIn: "A" });
+
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should reject invalid arguments", async () => {
+      await expect(run("pool:swap", { amount: "1", tokenIn: "X" })).to.be.rejectedWith("Unknown token X");
+      await expect(run("pool:swap", { amount: "1", tokenIn: "A", slippage: 9000 })).to.be.rejectedWith("Invalid slippage");
+      await expect(run("pool:remove-liquidity", {})).to.be.rejectedWith("Pass either --liquidity or --percent");
+    });
+  });
+});
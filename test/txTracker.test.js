@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const TxTracker = require("../docs/txTracker");
+
+describe("txTracker", function() {
+  const from = "0x00000000000000000000000000000000000000A1";
+  const pool = "0x00000000000000000000000000000000000000B2";
+  const record = (hash, nonce = 0) =>
+    ({ hash, type: "swap", from, to: pool, nonce, data: "0x1234", value: "0" });
+
+  // Same interface as localStorage
+  function memoryStorage() {
+    const items = {};
+    return {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = value; }
+    };
+  }
+
+  describe("storage", function() {
+    it("Should key the history by chain and lowercased account", () => {
+      expect(TxTracker.storageKey(11155111, from)).to.equal(`simpleSwap.transactions.11155111.${from.toLowerCase()}`);
+    });
+
+    it("Should save and load the records", () => {
+      const storage = memoryStorage();
+      const records = TxTracker.addTransaction([], record("0x01"));
+
+      TxTracker.saveHistory(storage, "key", records);
+
+      expect(TxTracker.loadHistory(storage, "key")).to.deep.equal(records);
+    });
+
+    it("Should keep the newest records only", () => {
+      const storage = memoryStorage();
+      const records = Array.from({ length: TxTracker.MAX_HISTORY + 5 }, (_, i) => record(`0x${i}`));
+
+      TxTracker.saveHistory(storage, "key", records);
+
+      const loaded = TxTracker.loadHistory(storage, "key");
+      expect(loaded).to.have.length(TxTracker.MAX_HISTORY);
+      expect(loaded[0].hash).to.equal("0x0");
+    });
+
+    it("Should load an empty history from a missing or corrupt entry", () => {
+      const storage = memoryStorage();
+      storage.setItem("corrupt", "{not json");
+      storage.setItem("object", "{}");
+
+      expect(TxTracker.loadHistory(storage, "missing")).to.deep.equal([]);
+      expect(TxTracker.loadHistory(storage, "corrupt")).to.deep.equal([]);
+      expect(TxTracker.loadHistory(storage, "object")).to.deep.equal([]);
+    });
+  });
+
+  describe("records", function() {
+    it("Should add sent transactions as pending, newest first", () => {
+      const records = TxTracker.addTransaction(TxTracker.addTransaction([], record("0x01")), record("0x02", 1));
+
+      expect(records.map(r => r.hash)).to.deep.equal(["0x02", "0x01"]);
+      expect(records.every(r => r.status === TxTracker.STATUS.PENDING)).to.equal(true);
+    });
+
+    it("Should not duplicate a transaction added twice", () => {
+      const records = TxTracker.addTransaction(TxTracker.addTransaction([], record("0x01")), record("0x01"));
+
+      expect(records).to.have.length(1);
+    });
+
+    it("Should update a record and list the pending ones", () => {
+      let records = TxTracker.addTransaction(TxTracker.addTransaction([], record("0x01")), record("0x02", 1));
+      records = TxTracker.updateTransaction(records, "0x01", { status: TxTracker.STATUS.CONFIRMED, blockNumber: 7 });
+
+      expect(records[1]).to.include({ hash: "0x01", status: "confirmed", blockNumber: 7 });
+      expect(TxTracker.pendingTransactions(records).map(r => r.hash)).to.deep.equal(["0x02"]);
+    });
+  });
+
+  describe("describeTransaction", function() {
+    it("Should describe a record from its plain details", () => {
+      const details = { amountIn: "1.5", symbolIn: "TKA", amountOut: "2.9", symbolOut: "TKB" };
+
+      expect(TxTracker.describeTransaction("swap", details)).to.equal("1.5 TKA → 2.9 TKB.");
+      expect(TxTracker.describeTransaction("approve", { symbol: "TKA" })).to.equal("Approve TKA for the pool.");
+    });
+
+    it("Should describe records without details, or of an unknown type, as empty", () => {
+      expect(TxTracker.describeTransaction("swap", undefined)).to.equal("");
+      expect(TxTracker.describeTransaction("transfer", { symbol: "TKA" })).to.equal("");
+    });
+  });
+
+  describe("classifyReplacement", function() {
+    it("Should recognize a sped up transaction", () => {
+      const replacement = { to: pool.toLowerCase(), data: "0x1234", value: "0" };
+
+      expect(TxTracker.classifyReplacement(record("0x01"), replacement)).to.equal("repriced");
+    });
+
+    it("Should recognize a cancellation", () => {
+      const replacement = { to: from, data: "0x", value: "0" };
+
+      expect(TxTracker.classifyReplacement(record("0x01"), replacement)).to.equal("cancelled");
+    });
+
+    it("Should treat any other transaction as a replacement", () => {
+      expect(TxTracker.classifyReplacement(record("0x01"), { to: pool, data: "0x5678", value: "0" })).to.equal("replaced");
+      expect(TxTracker.classifyReplacement(record("0x01"), { to: from, data: "0x", value: "1" })).to.equal("replaced");
+      expect(TxTracker.classifyReplacement(record("0x01"), { to: null, data: "0x60", value: "0" })).to.equal("replaced");
+    });
+  });
+});